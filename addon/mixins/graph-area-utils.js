@@ -1,4 +1,6 @@
+/* globals Path2D */
 import Ember from 'ember';
+import { canTraceInterpolator, traceArea } from '../utils/nf/canvas-utils';
 
 /**
   Utility functions for drawing an area.
@@ -40,5 +42,41 @@ export default Ember.Mixin.create({
           })
           .interpolate(interp)(data);
       };
-	}
+	},
+
+  /**
+    Creates a function that traces an area from a given set of scales and an interpolator onto
+    a canvas `Path2D`. Linear and step interpolators are traced point to point; other interpolators
+    are traced from the SVG path data of `createAreaFn`.
+
+    @method createCanvasAreaFn
+    @param xScale {Function} a d3 scale
+    @param yScale {Function} a d3 scale
+    @param interpolator {String} the name of the d3 interpolator to use.
+    @return {Function} a function that when called will create a `Path2D`.
+  */
+  createCanvasAreaFn: function(xScale, yScale, interpolator) {
+    if(!canTraceInterpolator(interpolator)) {
+      var areaFn = this.createAreaFn(xScale, yScale, interpolator);
+      return function(data) {
+        return new Path2D(areaFn(data));
+      };
+    }
+
+    var xMod = xScale.rangeBand ? xScale.rangeBand() / 2 : 0;
+    var yMod = yScale.rangeBand ? yScale.rangeBand() / 2 : 0;
+
+    return function(data) {
+      var path = new Path2D();
+      var top = [];
+      var bottom = [];
+      (data || []).forEach(function(d) {
+        var x = (xScale(d[0]) || 0) + xMod;
+        top.push([x, (yScale(d[1]) || 0) + yMod]);
+        bottom.push([x, (yScale(d[2]) || 0) + yMod]);
+      });
+      traceArea(path, top, bottom, interpolator);
+      return path;
+    };
+  }
 });
\ No newline at end of file
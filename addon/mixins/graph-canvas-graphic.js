@@ -0,0 +1,131 @@
+import Ember from 'ember';
+import { paintPath, hitTestPath } from '../utils/nf/canvas-utils';
+
+/**
+  Adds an optional canvas renderer to a graphic that draws itself as a single SVG path,
+  such as {{#crossLink "components.nf-line"}}{{/crossLink}} or {{#crossLink "components.nf-area"}}{{/crossLink}}.
+
+  When `renderer` is `'canvas'`, the graphic is traced from its data onto the parent
+  {{#crossLink "components.nf-graph"}}nf-graph's{{/crossLink}} canvas, which is layered under its SVG.
+  The SVG path is still rendered, without path data, so the graphic can be styled with CSS as usual.
+  Gradient and pattern fills can't be drawn on the canvas; the first stop color of a gradient is used instead.
+  Clicks on the graph content that hit the traced path are triggered as `click` events on the graphic.
+
+  Requires the component to have a `canvasPath` property with the `Path2D` to draw, which is only
+  needed while `isCanvasRenderer` is `true`, and a `canvasPathSelector` identifying the styled path element.
+
+  @namespace mixins
+  @class graph-canvas-graphic
+  @extends Ember.Mixin
+*/
+export default Ember.Mixin.create({
+  /**
+    The renderer to draw the graphic with. Possible values are `'svg'` and `'canvas'`.
+    @property renderer
+    @type String
+    @default 'svg'
+  */
+  renderer: 'svg',
+
+  /**
+    The selector of the SVG path element whose computed style is used to draw on the canvas.
+    @property canvasPathSelector
+    @type String
+    @default null
+  */
+  canvasPathSelector: null,
+
+  /**
+    The width, in pixels, of the stroke that a click must hit when the graphic is drawn on the canvas.
+    If `null`, a click must be inside the filled path.
+    @property canvasHitStrokeWidth
+    @type Number
+    @default null
+  */
+  canvasHitStrokeWidth: null,
+
+  /**
+    Returns `true` if the graphic is drawn on the canvas.
+    @property isCanvasRenderer
+    @type Boolean
+    @readonly
+  */
+  isCanvasRenderer: Ember.computed.equal('renderer', 'canvas'),
+
+  /**
+    The path data for the SVG path element. `null` if the graphic is drawn on the canvas.
+    @property svgD
+    @type String
+    @readonly
+    @private
+  */
+  svgD: function(){
+    return this.get('isCanvasRenderer') ? null : this.get('d');
+  }.property('isCanvasRenderer', 'd'),
+
+  /**
+    Draws the graphic's path on a canvas context positioned at the graph content.
+    @method drawCanvas
+    @param context {CanvasRenderingContext2D} the context to draw on
+  */
+  drawCanvas: function(context) {
+    var path = this.get('canvasPath');
+    var element = this.get('element') && this.$(this.get('canvasPathSelector'))[0];
+
+    if(!path || !element) {
+      return;
+    }
+
+    paintPath(context, path, element);
+  },
+
+  /**
+    Event handler for the content's didClick event. Triggers `click` on the graphic if it's drawn
+    on the canvas and the click hits its path, as the SVG path has no path data to be clicked.
+    @method _didCanvasContentClick
+    @param e {utils.nf.graph-mouse-event}
+    @private
+  */
+  _didCanvasContentClick: function(e) {
+    var path = this.get('isCanvasRenderer') && this.get('canvasPath');
+    if(path && hitTestPath(path, e.get('mouseX'), e.get('mouseY'), this.get('canvasHitStrokeWidth'))) {
+      this.trigger('click', e.get('originalEvent'));
+    }
+  },
+
+  /**
+    Sets up the subscription to content clicks.
+    @method _setupCanvasClickBinding
+    @private
+  */
+  _setupCanvasClickBinding: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.on('didClick', this, this._didCanvasContentClick);
+    }
+  }.on('didInsertElement'),
+
+  /**
+    Tears down the subscription to content clicks.
+    @method _teardownCanvasClickBinding
+    @private
+  */
+  _teardownCanvasClickBinding: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.off('didClick', this, this._didCanvasContentClick);
+    }
+  }.on('willDestroyElement'),
+
+  /**
+    Schedules a redraw of the graph's canvas when anything affecting the graphic's drawing changes.
+    @method _scheduleCanvasDraw
+    @private
+  */
+  _scheduleCanvasDraw: function(){
+    var graph = this.get('graph');
+    if(graph) {
+      graph.scheduleCanvasDraw();
+    }
+  }.observes('renderer', 'canvasPath', 'selected').on('didInsertElement', 'willDestroyElement'),
+});
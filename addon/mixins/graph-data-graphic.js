@@ -1,6 +1,7 @@
 import Ember from 'ember';
 import parsePropertyExpr from '../utils/parse-property-expression';
 import { nearestIndexTo } from '../utils/nf/array-helpers';
+import { decimate } from '../utils/nf/decimation';
 
 var noop = function(){};
 
@@ -85,7 +86,8 @@ export default Ember.Mixin.create({
   xData: null,
 
   /**
-    Gets the y values from the `sortedData`
+    Gets the y values from the `sortedData`. These are pooled into the graph's `yData`, or
+    its `y2Data` if the graphic's `yAxisId` is `'y2'`.
     @property yData
     @type Array
     @readonly
@@ -145,14 +147,49 @@ export default Ember.Mixin.create({
   }.property('data.@each', 'xPropFn', 'yPropFn'),
 
   /**
-    The list of data points from {{#crossLink "mixins.graph-data-graphc/sortedData:property"}}{{/crossLink}} that
-    fits within the x domain, plus up to one data point outside of that domain in each direction.
+    The stacked data points, set when the graphic is stacked by a parent such as
+    {{#crossLink "components.nf-area-stack"}}{{/crossLink}} or {{#crossLink "components.nf-bars-group"}}{{/crossLink}}.
+    An array of arrays, structured as so:
+
+          [[x, y0 + y, y0], [x, y0 + y, y0]]
+
+    When set, it is used in place of {{#crossLink "mixins.graph-data-graphic/sortedData:property"}}{{/crossLink}}
+    to compute {{#crossLink "mixins.graph-data-graphic/renderedData:property"}}{{/crossLink}}.
+    @property stackedData
+    @type Array
+    @default null
+  */
+  stackedData: null,
+
+  /**
+    The tops and baselines of the `stackedData`, pooled into the graph's y data in place of `yData`
+    so the stacked extent is graphed.
+    @property stackedYData
+    @type Array
+    @readonly
+  */
+  stackedYData: function(){
+    var stackedData = this.get('stackedData');
+    if(!stackedData) {
+      return null;
+    }
+    var all = [];
+    stackedData.forEach(function(d) {
+      all.push(d[1], d[2]);
+    });
+    return all;
+  }.property('stackedData.[]'),
+
+  /**
+    The list of data points from {{#crossLink "mixins.graph-data-graphc/sortedData:property"}}{{/crossLink}}
+    (or `stackedData`, if stacked) that fits within the x domain, plus up to one data point outside of
+    that domain in each direction.
     @property renderedData
     @type Array
     @readonly
   */
   renderedData: function(){
-    var sortedData = this.get('sortedData');
+    var sortedData = this.get('stackedData') || this.get('sortedData');
     var graph = this.get('graph');
     var xScaleType = graph.get('xScaleType');
     var xMin = graph.get('xMin');
@@ -175,7 +212,64 @@ export default Ember.Mixin.create({
 
       return between(x, xMin, xMax) || between(prevX, xMin, xMax) || between(nextX, xMin, xMax);
     });
-  }.property('sortedData.@each', 'graph.xScaleType', 'graph.xMin', 'graph.xMax'),
+  }.property('sortedData.@each', 'stackedData.[]', 'graph.xScaleType', 'graph.xMin', 'graph.xMax'),
+
+  /**
+    The algorithm used to downsample dense data before it is drawn. Possible values are
+    `'lttb'` (largest triangle three buckets), `'min-max'` and `'average'`. When `null`, every
+    point in {{#crossLink "mixins.graph-data-graphic/renderedData:property"}}{{/crossLink}} is drawn.
+
+    Downsampling only affects drawing; tracking and `getDataNearX` still use the original data.
+    It is not applied to ordinal x scales.
+    @property decimation
+    @type String
+    @default null
+  */
+  decimation: null,
+
+  /**
+    The number of points to draw per pixel of the graph's `graphWidth` when `decimation` is set.
+    @property decimationRatio
+    @type Number
+    @default 1
+  */
+  decimationRatio: 1,
+
+  /**
+    The maximum number of points to draw when `decimation` is set.
+    @property decimationThreshold
+    @type Number
+    @readonly
+  */
+  decimationThreshold: function(){
+    var graphWidth = this.get('graph.graphWidth') || 0;
+    return Math.max(Math.ceil(graphWidth * this.get('decimationRatio')), 3);
+  }.property('graph.graphWidth', 'decimationRatio'),
+
+  /**
+    Downsamples sorted data points with the `decimation` algorithm.
+    @method decimateData
+    @param data {Array} the sorted data points
+    @return {Array} the data points to draw
+  */
+  decimateData: function(data) {
+    var decimation = this.get('decimation');
+    if(!decimation || this.get('graph.xScaleType') === 'ordinal') {
+      return data;
+    }
+    return decimate(decimation, data, this.get('decimationThreshold'));
+  },
+
+  /**
+    The data points from {{#crossLink "mixins.graph-data-graphic/renderedData:property"}}{{/crossLink}}
+    downsampled with the `decimation` algorithm. This is what should be drawn.
+    @property decimatedData
+    @type Array
+    @readonly
+  */
+  decimatedData: function(){
+    return this.decimateData(this.get('renderedData'));
+  }.property('renderedData.[]', 'decimation', 'decimationThreshold', 'graph.xScaleType'),
 
   /**
     The first element from {{#crossLink "mixins.graph-data-graphic/renderedData:property"}}{{/crossLink}}
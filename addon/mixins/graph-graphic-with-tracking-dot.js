@@ -104,6 +104,7 @@ export default Ember.Mixin.create({
 
     this.trigger('didHoverChange', GraphMouseEvent.create({
       originalEvent: e.get('originalEvent'),
+      syncedX: e.get('syncedX'),
       source: this,
       graph: graph,
     }));
@@ -1,4 +1,6 @@
+	/* globals Path2D */
 	import Ember from 'ember';
+	import { canTraceInterpolator, traceLine } from '../utils/nf/canvas-utils';
 
 	/**
 		@namespace mixins
@@ -32,5 +34,36 @@
 					.y(function (d) { return (yScale(d[1]) || 0) + yMod; })
 					.interpolate(interp)(data);
 			};
+		},
+
+		/**
+			Create a function that traces a line from a given scales and interpolation onto a canvas `Path2D`.
+			Linear and step interpolators are traced point to point; other interpolators are traced from
+			the SVG path data of `createLineFn`.
+
+			@method createCanvasLineFn
+			@param xScale {Function} d3 scale function
+			@param yScale {Function} d3 scale function
+			@param interpolate {String} d3 interpolator name
+			@return {Function} a function that will create a `Path2D` from a given data set.
+			*/
+		createCanvasLineFn: function(xScale, yScale, interpolate){
+			if(!canTraceInterpolator(interpolate)) {
+				var lineFn = this.createLineFn(xScale, yScale, interpolate);
+				return function(data) {
+					return new Path2D(lineFn(data));
+				};
+			}
+
+			var xMod = xScale.rangeBand ? xScale.rangeBand() / 2 : 0;
+			var yMod = yScale.rangeBand ? yScale.rangeBand() / 2 : 0;
+
+			return function(data) {
+				var path = new Path2D();
+				traceLine(path, (data || []).map(function(d) {
+					return [(xScale(d[0]) || 0) + xMod, (yScale(d[1]) || 0) + yMod];
+				}), interpolate);
+				return path;
+			};
 		}
 	});
\ No newline at end of file
@@ -7,6 +7,15 @@ import Ember from 'ember';
 */
 export default Ember.Mixin.create({
 
+	/**
+		The name of the graphic, read by screen readers when the graphic is selected or its
+		tracked data is announced during keyboard navigation of the graph.
+		@property name
+		@type String
+		@default null
+	*/
+	name: null,
+
 	/**
 		calls {{#crossLink "components.nf-graph/registerGraphic"}}{{/crossLink}} on
 		`didInsertElement`.
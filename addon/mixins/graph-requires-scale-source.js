@@ -35,13 +35,41 @@ export default Ember.Mixin.create({
 	*/
 	xScale: scaleProperty('scaleSource.xScale', 'scaleZoomX', 'scaleOffsetX'),
 	
+	/**
+		The id of the y scale this component uses. `'y'` for the scale source's primary
+		y scale, or `'y2'` for its secondary y scale.
+		@property yAxisId
+		@type String
+		@default 'y'
+	*/
+	yAxisId: 'y',
+
+	/**
+		The y scale from the scale source identified by `yAxisId`
+		@property _scaleSourceYScale
+		@type d3.scale
+		@readonly
+		@private
+	*/
+	_scaleSourceYScale: function(){
+		return this.get('yAxisId') === 'y2' ? this.get('scaleSource.y2Scale') : this.get('scaleSource.yScale');
+	}.property('yAxisId', 'scaleSource.yScale', 'scaleSource.y2Scale'),
+
 	/**
 		The y scale used by this component
 		@property yScale
 		@type d3.scale
 		@readonly
 	*/
-	yScale: scaleProperty('scaleSource.yScale', 'scaleZoomY', 'scaleOffsetY'),
+	yScale: scaleProperty('_scaleSourceYScale', 'scaleZoomY', 'scaleOffsetY'),
+
+	/**
+		The secondary y scale provided to children when this component is a scale source
+		@property y2Scale
+		@type d3.scale
+		@readonly
+	*/
+	y2Scale: scaleProperty('scaleSource.y2Scale', 'scaleZoomY', 'scaleOffsetY'),
 
 	_scaleOffsetX: 0,
 
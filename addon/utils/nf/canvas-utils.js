@@ -0,0 +1,231 @@
+/* globals getComputedStyle, Path2D, document */
+import Ember from 'ember';
+
+/**
+  Helpers for drawing SVG elements on a canvas with their computed styles.
+  @module utils/nf/canvas-utils
+*/
+
+/**
+  The ids of the gradients that have already been warned about.
+  @property warnedPaintServers
+  @type Object
+  @private
+*/
+var warnedPaintServers = {};
+
+/**
+  The canvas context used to hit test paths, created when it's first needed.
+  @property hitContext
+  @type CanvasRenderingContext2D
+  @private
+*/
+var hitContext = null;
+
+/**
+  Functions that continue a path from one point to the next, keyed by the name of the
+  d3 interpolator they follow.
+  @property segmentTracers
+  @type Object
+  @private
+*/
+var segmentTracers = {
+  'linear': function(path, p0, p1) {
+    path.lineTo(p1[0], p1[1]);
+  },
+
+  'step': function(path, p0, p1) {
+    var x = (p0[0] + p1[0]) / 2;
+    path.lineTo(x, p0[1]);
+    path.lineTo(x, p1[1]);
+    path.lineTo(p1[0], p1[1]);
+  },
+
+  'step-before': function(path, p0, p1) {
+    path.lineTo(p0[0], p1[1]);
+    path.lineTo(p1[0], p1[1]);
+  },
+
+  'step-after': function(path, p0, p1) {
+    path.lineTo(p1[0], p0[1]);
+    path.lineTo(p1[0], p1[1]);
+  }
+};
+
+/**
+  The interpolators to trace the bottom of an area with, which is traced backwards.
+  @property reverseInterpolators
+  @type Object
+  @private
+*/
+var reverseInterpolators = {
+  'step-before': 'step-after',
+  'step-after': 'step-before'
+};
+
+/**
+  Parses a computed style opacity value, defaulting to `1`.
+  @method parseOpacity
+  @param value {String} the computed style value
+  @return {Number} the opacity
+  @private
+*/
+function parseOpacity(value) {
+  var opacity = parseFloat(value);
+  return opacity === opacity ? opacity : 1;
+}
+
+/**
+  Gets a canvas fill or stroke style for a computed SVG `fill` or `stroke` value. Gradients and
+  patterns referenced with `url(#id)` can't be drawn on a canvas, so the color of their first
+  `<stop>` is used instead, with a warning.
+  @method getPaint
+  @param value {String} the computed style value
+  @param element {SVGElement} the element the style is from
+  @return {String} the color, or `null` if nothing should be painted
+  @private
+*/
+function getPaint(value, element) {
+  if(!value || value === 'none') {
+    return null;
+  }
+
+  var match = /^url\(['"]?[^#]*#([^'")]+)/.exec(value);
+  if(!match) {
+    return value;
+  }
+
+  var id = match[1];
+  var server = element.ownerDocument.getElementById(id);
+  var stop = server && server.querySelector('stop');
+  var color = stop ? getComputedStyle(stop).stopColor : null;
+
+  if(!warnedPaintServers[id]) {
+    warnedPaintServers[id] = true;
+    Ember.warn('#' + id + ' cannot be drawn on a canvas, ' + (color ? 'its first stop color is used instead.' : 'so it is not drawn.'));
+  }
+
+  return color || null;
+}
+
+/**
+  Fills and strokes a path on a canvas context with the computed fill, stroke and opacity
+  styles of an SVG element.
+  @method paintPath
+  @param context {CanvasRenderingContext2D} the context to draw on
+  @param path {Path2D|String} the path, or SVG path data
+  @param element {SVGElement} the element to get the styles from
+*/
+export function paintPath(context, path, element) {
+  var style = getComputedStyle(element);
+  var opacity = parseOpacity(style.opacity);
+  var fill = getPaint(style.fill, element);
+  var stroke = getPaint(style.stroke, element);
+
+  if(typeof path === 'string') {
+    path = new Path2D(path);
+  }
+
+  context.save();
+
+  if(fill) {
+    context.globalAlpha = opacity * parseOpacity(style.fillOpacity);
+    context.fillStyle = fill;
+    context.fill(path);
+  }
+
+  if(stroke) {
+    context.globalAlpha = opacity * parseOpacity(style.strokeOpacity);
+    context.strokeStyle = stroke;
+    context.lineWidth = parseFloat(style.strokeWidth) || 1;
+    context.stroke(path);
+  }
+
+  context.restore();
+}
+
+/**
+  Returns `true` if a d3 interpolator can be traced point to point with `traceLine`.
+  @method canTraceInterpolator
+  @param interpolate {String} the d3 interpolator name
+  @return {Boolean}
+*/
+export function canTraceInterpolator(interpolate) {
+  return !interpolate || segmentTracers.hasOwnProperty(interpolate);
+}
+
+/**
+  Traces a line through pixel points with `moveTo` and `lineTo`, following a d3 interpolator
+  that `canTraceInterpolator` accepts.
+  @method traceLine
+  @param path {Path2D|CanvasRenderingContext2D} the path to trace onto
+  @param points {Array} the `[x, y]` pixel points
+  @param interpolate {String} the d3 interpolator name, `'linear'` if not set
+  @param connect {Boolean} if `true`, the line continues the current subpath instead of starting a new one
+*/
+export function traceLine(path, points, interpolate, connect) {
+  var tracer = segmentTracers[interpolate || 'linear'];
+  var prev = null;
+
+  points.forEach(function(p) {
+    if(prev) {
+      tracer(path, prev, p);
+    } else if(connect) {
+      path.lineTo(p[0], p[1]);
+    } else {
+      path.moveTo(p[0], p[1]);
+    }
+    prev = p;
+  });
+}
+
+/**
+  Traces a closed area between a top and a bottom line of pixel points, both left to right.
+  @method traceArea
+  @param path {Path2D|CanvasRenderingContext2D} the path to trace onto
+  @param top {Array} the `[x, y]` pixel points of the top line
+  @param bottom {Array} the `[x, y]` pixel points of the bottom line
+  @param interpolate {String} the d3 interpolator name, `'linear'` if not set
+*/
+export function traceArea(path, top, bottom, interpolate) {
+  if(top.length === 0) {
+    return;
+  }
+  interpolate = interpolate || 'linear';
+  traceLine(path, top, interpolate);
+  traceLine(path, bottom.slice().reverse(), reverseInterpolators[interpolate] || interpolate, true);
+  path.closePath();
+}
+
+/**
+  Returns `true` if a point is inside a path or, with a `strokeWidth`, on its stroke.
+  @method hitTestPath
+  @param path {Path2D} the path to test
+  @param x {Number} the x position, in the path's coordinates
+  @param y {Number} the y position, in the path's coordinates
+  @param strokeWidth {Number} optional, the width of the stroke to test instead of the fill
+  @return {Boolean}
+*/
+export function hitTestPath(path, x, y, strokeWidth) {
+  if(!hitContext) {
+    hitContext = document.createElement('canvas').getContext('2d');
+  }
+
+  if(strokeWidth) {
+    hitContext.lineWidth = strokeWidth;
+    return hitContext.isPointInStroke(path, x, y);
+  }
+  return hitContext.isPointInPath(path, x, y);
+}
+
+/**
+  Fills and strokes an SVG `<rect>` on a canvas context with its computed styles.
+  @method paintRect
+  @param context {CanvasRenderingContext2D} the context to draw on
+  @param rect {SVGRectElement} the rect to draw
+*/
+export function paintRect(context, rect) {
+  var path = new Path2D();
+  path.rect(rect.x.baseVal.value, rect.y.baseVal.value, rect.width.baseVal.value, rect.height.baseVal.value);
+  paintPath(context, path, rect);
+}
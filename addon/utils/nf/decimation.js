@@ -0,0 +1,177 @@
+/**
+  Downsampling algorithms for dense, x-sorted data. Data points are arrays with the
+  x value at index `0` and the y value at index `1`, as in
+  {{#crossLink "mixins.graph-data-graphic/renderedData:property"}}{{/crossLink}}.
+  @module utils/nf/decimation
+*/
+
+/**
+  Downsamples with the Largest-Triangle-Three-Buckets algorithm, which keeps the
+  visual shape of the data. The first and last points are always kept, and every point
+  returned is one of the original points.
+  @method lttb
+  @param data {Array} the sorted data points
+  @param threshold {Number} the number of points to return
+  @return {Array} the downsampled data points
+*/
+export function lttb(data, threshold) {
+  var length = data.length;
+
+  if(threshold >= length || threshold < 3) {
+    return data;
+  }
+
+  var sampled = [data[0]];
+  var every = (length - 2) / (threshold - 2);
+  var a = 0;
+  var i, j;
+
+  for(i = 0; i < threshold - 2; i++) {
+    // average the next bucket to use as the third point of the triangle
+    var avgStart = Math.floor((i + 1) * every) + 1;
+    var avgEnd = Math.min(Math.floor((i + 2) * every) + 1, length);
+    var avgLength = avgEnd - avgStart;
+    var avgX = 0;
+    var avgY = 0;
+
+    for(j = avgStart; j < avgEnd; j++) {
+      avgX += +data[j][0];
+      avgY += +data[j][1];
+    }
+
+    avgX /= avgLength;
+    avgY /= avgLength;
+
+    // pick the point in this bucket that makes the largest triangle
+    var ax = +data[a][0];
+    var ay = +data[a][1];
+    var rangeEnd = Math.floor((i + 1) * every) + 1;
+    var maxArea = -1;
+    var next = a + 1;
+
+    for(j = Math.floor(i * every) + 1; j < rangeEnd; j++) {
+      var area = Math.abs((ax - avgX) * (data[j][1] - ay) - (ax - data[j][0]) * (avgY - ay));
+      if(area > maxArea) {
+        maxArea = area;
+        next = j;
+      }
+    }
+
+    sampled.push(data[next]);
+    a = next;
+  }
+
+  sampled.push(data[length - 1]);
+
+  return sampled;
+}
+
+/**
+  Downsamples by keeping the points with the lowest and highest y values in each bucket,
+  which preserves spikes. Every point returned is one of the original points.
+  @method minMax
+  @param data {Array} the sorted data points
+  @param threshold {Number} the number of points to return. Two points are kept per bucket.
+  @return {Array} the downsampled data points
+*/
+export function minMax(data, threshold) {
+  var length = data.length;
+  var buckets = Math.floor(threshold / 2);
+
+  if(threshold >= length || buckets < 1) {
+    return data;
+  }
+
+  var size = length / buckets;
+  var sampled = [];
+
+  for(var b = 0; b < buckets; b++) {
+    var start = Math.floor(b * size);
+    var end = Math.min(Math.floor((b + 1) * size), length);
+    var min = start;
+    var max = start;
+
+    for(var j = start + 1; j < end; j++) {
+      if(data[j][1] < data[min][1]) {
+        min = j;
+      }
+      if(data[j][1] > data[max][1]) {
+        max = j;
+      }
+    }
+
+    sampled.push(data[Math.min(min, max)]);
+    if(min !== max) {
+      sampled.push(data[Math.max(min, max)]);
+    }
+  }
+
+  return sampled;
+}
+
+/**
+  Downsamples by averaging the points in each bucket. Every value in the points, such
+  as the bottom of an area, is averaged. The points returned are new and do not carry
+  the original `data`.
+  @method average
+  @param data {Array} the sorted data points
+  @param threshold {Number} the number of points to return
+  @return {Array} the downsampled data points
+*/
+export function average(data, threshold) {
+  var length = data.length;
+
+  if(threshold >= length || threshold < 1) {
+    return data;
+  }
+
+  var size = length / threshold;
+  var sampled = [];
+
+  for(var b = 0; b < threshold; b++) {
+    var start = Math.floor(b * size);
+    var end = Math.min(Math.floor((b + 1) * size), length);
+    var count = end - start;
+    var point = [];
+    var j, k;
+
+    for(j = start; j < end; j++) {
+      for(k = 0; k < data[j].length; k++) {
+        point[k] = (point[k] || 0) + (+data[j][k]);
+      }
+    }
+
+    for(k = 0; k < point.length; k++) {
+      point[k] /= count;
+    }
+
+    sampled.push(point);
+  }
+
+  return sampled;
+}
+
+/**
+  Downsamples data with a named algorithm.
+  @method decimate
+  @param algorithm {String} `'lttb'`, `'min-max'` or `'average'`
+  @param data {Array} the sorted data points
+  @param threshold {Number} the number of points to return
+  @return {Array} the downsampled data points, or the data unchanged if the algorithm is unknown.
+*/
+export function decimate(algorithm, data, threshold) {
+  if(!data) {
+    return data;
+  }
+
+  switch(algorithm) {
+    case 'lttb':
+      return lttb(data, threshold);
+    case 'min-max':
+      return minMax(data, threshold);
+    case 'average':
+      return average(data, threshold);
+    default:
+      return data;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+  A registry of named value formatters, used by `tickFormat` on
+  {{#crossLink "components.nf-x-axis"}}{{/crossLink}} and {{#crossLink "components.nf-y-axis"}}{{/crossLink}},
+  `formatter` on {{#crossLink "components.nf-brush-selection"}}{{/crossLink}}
+  and `format` on {{#crossLink "components.nf-y-diff"}}{{/crossLink}}.
+  @module utils/nf/formatters
+*/
+
+/**
+  Removes trailing zeros after a decimal point, keeping any suffix. (e.g. `'1.50k'` becomes `'1.5k'`)
+  @method trimZeros
+  @param str {String} the formatted number
+  @return {String}
+  @private
+*/
+function trimZeros(str) {
+  return str.replace(/(\.\d*?)0+(\D*)$/, '$1$2').replace(/\.(\D*)$/, '$1');
+}
+
+var si = d3.format('.3s');
+
+var BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+
+var DURATION_UNITS = [
+  ['d', 86400000],
+  ['h', 3600000],
+  ['m', 60000],
+  ['s', 1000]
+];
+
+/**
+  The named formatters.
+  @property presets
+  @type Object
+  @private
+*/
+var presets = {
+  // SI prefixed numbers. (e.g. `1500` is `'1.5k'`)
+  si: function(value) {
+    return trimZeros(si(value));
+  },
+
+  // Ratios as percentages. (e.g. `0.25` is `'25%'`)
+  percent: d3.format('%'),
+
+  // Byte counts in binary units. (e.g. `1536` is `'1.5 KB'`)
+  bytes: function(value) {
+    var i = 0;
+    var sign = value < 0 ? '-' : '';
+    value = Math.abs(value);
+    while(value >= 1024 && i < BYTE_UNITS.length - 1) {
+      value /= 1024;
+      i++;
+    }
+    return sign + trimZeros(value.toFixed(i === 0 ? 0 : 1)) + ' ' + BYTE_UNITS[i];
+  },
+
+  // Durations in milliseconds, using the two largest units. (e.g. `5400000` is `'1h 30m'`)
+  duration: function(value) {
+    var sign = value < 0 ? '-' : '';
+    value = Math.abs(value);
+
+    if(value < 1000) {
+      return sign + trimZeros(value.toFixed(1)) + 'ms';
+    }
+
+    if(value < 60000) {
+      return sign + trimZeros((value / 1000).toFixed(1)) + 's';
+    }
+
+    var parts = [];
+    DURATION_UNITS.forEach(function(unit) {
+      var count = Math.floor(value / unit[1]);
+      if(parts.length < 2 && (count > 0 || parts.length > 0)) {
+        value -= count * unit[1];
+        if(count > 0) {
+          parts.push(count + unit[0]);
+        }
+      }
+    });
+
+    return sign + parts.join(' ');
+  },
+
+  // US dollars. (e.g. `1234.5` is `'$1,234.50'`)
+  currency: d3.format('$,.2f')
+};
+
+/**
+  Registers a named formatter, or replaces an existing one.
+  @method registerFormatter
+  @param name {String} the name of the formatter
+  @param formatter {Function} a function that takes a value and returns its formatted string
+*/
+export function registerFormatter(name, formatter) {
+  presets[name] = formatter;
+}
+
+/**
+  Gets a formatting function for a format.
+  @method getFormatter
+  @param format {String|Function} one of:
+
+  - a function, which is returned as is
+  - the name of a registered formatter: `'si'`, `'percent'`, `'bytes'`, `'duration'` or `'currency'`
+  - a d3 time format specifier, such as `'%b %d'`, for `Date` values
+  - a d3 number format specifier, such as `',.2f'`
+
+  @return {Function} the formatting function, or `null` if there is no format
+*/
+export function getFormatter(format) {
+  if(!format) {
+    return null;
+  }
+
+  if(typeof format === 'function') {
+    return format;
+  }
+
+  if(presets.hasOwnProperty(format)) {
+    return presets[format];
+  }
+
+  if(/%[a-zA-Z]/.test(format)) {
+    return d3.time.format(format);
+  }
+
+  return d3.format(format);
+}
+
+/**
+  Formats a value. `null` and `undefined` values are returned unformatted.
+  @method formatValue
+  @param format {String|Function} the format, as accepted by `getFormatter`
+  @param value {Any} the value to format
+  @return {Any} the formatted value
+*/
+export function formatValue(format, value) {
+  var formatter = getFormatter(format);
+  return formatter && value !== null && value !== undefined ? formatter(value) : value;
+}
@@ -4,6 +4,9 @@ import { getMousePoint } from './svg-dom';
 /**
 	An event context object generally returned by tracking events. Also used as
 	`trackedData` in components such as `nf-line`, `nf-area` and `nf-bars`.
+
+	Touch events are supported as well as mouse events. The mouse position of a touch event is the
+	position of its first touch.
 	
 	@namespace utils.nf
 	@class graph-mouse-event
@@ -13,11 +16,30 @@ export default GraphPosition.extend({
 	/**
 		The original event that triggered the action or ember event
 		@property originalEvent
-		@type MouseEvent
+		@type MouseEvent|TouchEvent
 		@default null
 	*/
 	originalEvent: null,
 
+	/**
+		The x domain value of a hover synchronized from another graph in the same
+		{{#crossLink "components.nf-graph-group"}}{{/crossLink}}. When set, the mouse x position is
+		the position of this value on the x scale, and there is no mouse y position.
+		@property syncedX
+		@default null
+	*/
+	syncedX: null,
+
+	/**
+		`true` if the event is a hover synchronized from another graph, rather than from the mouse.
+		@property isSynced
+		@type Boolean
+		@readonly
+	*/
+	isSynced: function(){
+		return this.get('syncedX') != null;
+	}.property('syncedX'),
+
 	/**
 		Method used to get the mouse position relative to a container
 		@method _getMousePoint
@@ -33,8 +55,12 @@ export default GraphPosition.extend({
 		@private
 	*/
 	_mousePoint: function(){
+		if(this.get('isSynced')) {
+			var xScale = this.get('xScale');
+			return { x: xScale ? xScale(this.get('syncedX')) : NaN, y: NaN };
+		}
 		return this._getMousePoint(this.get('graphContentElement'), this.get('originalEvent'));
-	}.property('originalEvent', 'graphContentElement'),
+	}.property('originalEvent', 'graphContentElement', 'isSynced', 'syncedX', 'xScale'),
 
 	/**
 		The nf-graph-content element of the nf-graph
@@ -76,16 +102,35 @@ export default GraphPosition.extend({
 	}.property('mouseX', 'mouseY', 'source', 'graph'),
 
 	/**
-		The raw data point nearest the mouse.graphX position
+		A data point of the source to use as the nearest data point, instead of finding
+		the one nearest the mouse. Used for data points reached with keyboard navigation.
+		@property dataPoint
+		@type Array
+		@default null
+	*/
+	dataPoint: null,
+
+	/**
+		The raw data point nearest the mouse.graphX position. If the source implements
+		`getDataNearRange`, such as `nf-scatter`, the data point nearest the mouse in both
+		x and y is used instead. If `dataPoint` is set, it's used as is.
 		@property nearestDataPoint
 		@type Array
 		@readonly
 	*/
 	nearestDataPoint: function() {
+		var dataPoint = this.get('dataPoint');
+		if(dataPoint) {
+			return dataPoint;
+		}
+
 		var mouseX = this.get('mouseX');
 		var source = this.get('source');
+		if(source && source.getDataNearRange) {
+			return source.getDataNearRange(mouseX, this.get('mouseY'));
+		}
 		return source ? source.getDataNearXRange(mouseX) : undefined;
-	}.property('source', 'mouse.graphX'),
+	}.property('source', 'mouse.graphX', 'mouseY', 'dataPoint'),
 
 	/**
 		The x domain value at the nearest data point to the mouse position
@@ -15,4 +15,298 @@ function normalizeScale(scale, val) {
 	return (scale ? scale(val) : 0) || 0;
 }
 
-export { normalizeScale };
\ No newline at end of file
+/**
+	Determines whether or not a scale type is backed by a d3 time scale.
+	@method isTimeScaleType
+	@param scaleType {String} the scale type, such as `xScaleType` on `nf-graph`
+	@return {Boolean} `true` if the scale type is `'time'` or `'utc'`.
+*/
+function isTimeScaleType(scaleType) {
+	scaleType = typeof scaleType === 'string' ? scaleType.toLowerCase() : '';
+	return scaleType === 'time' || scaleType === 'utc';
+}
+
+/**
+	Converts a domain value, such as epoch milliseconds, to a Date for use with 
+	time scales. `null` and `undefined` are returned as they are.
+	@method toDate
+	@param val {any} the value to convert
+	@return {Date} the value as a Date
+*/
+function toDate(val) {
+	if(val == null || val instanceof Date) {
+		return val;
+	}
+	return new Date(+val);
+}
+
+/**
+	Adds the ends of a scale's domain to a list of tick values, if they aren't already in it.
+	Has no effect on ordinal scales.
+	@method addDomainEndpoints
+	@param ticks {Array} the tick values
+	@param scale {Function} the d3 scale the ticks are for
+	@return {Array} a sorted copy of the tick values, including the domain endpoints
+*/
+function addDomainEndpoints(ticks, scale) {
+	if(!scale || scale.rangeBand) {
+		return ticks;
+	}
+
+	var result = ticks.slice();
+	var values = result.map(function(tick) {
+		return +tick;
+	});
+
+	d3.extent(scale.domain()).forEach(function(end) {
+		if(values.indexOf(+end) === -1) {
+			values.push(+end);
+			result.push(end);
+		}
+	});
+
+	return result.sort(function(a, b) {
+		return a - b;
+	});
+}
+
+/**
+	Gets the absolute extent of a log scale's domain, which never crosses zero, and the sign of its values.
+	@method logExtent
+	@param scale {Function} a d3 log scale
+	@return {Array} the lowest and highest absolute values, and the sign
+	@private
+*/
+function logExtent(scale) {
+	var domain = scale.domain().map(function(d) {
+		return Math.abs(d);
+	});
+	var sign = scale.domain()[0] < 0 ? -1 : 1;
+	return [Math.min(domain[0], domain[1]), Math.max(domain[0], domain[1]), sign];
+}
+
+/**
+	Gets the major ticks for a log scale: powers of its base. If there are more powers than
+	`tickCount`, every nth power is used. If the domain doesn't span two powers, the scale's
+	default ticks are used instead.
+	@method getLogTicks
+	@param scale {Function} a d3 log scale
+	@param tickCount {Number} the desired maximum number of ticks
+	@return {Array} the tick values
+*/
+function getLogTicks(scale, tickCount) {
+	var base = scale.base();
+	var extent = logExtent(scale);
+	var lo = extent[0] * (1 - 1e-12);
+	var hi = extent[1] * (1 + 1e-12);
+	var sign = extent[2];
+	var start = Math.floor(Math.log(extent[0]) / Math.log(base));
+	var end = Math.ceil(Math.log(extent[1]) / Math.log(base));
+	var step = Math.max(1, Math.ceil((end - start + 1) / (tickCount || 1)));
+	var ticks = [];
+
+	for(var k = start; k <= end; k++) {
+		var value = Math.pow(base, k);
+		if(k % step === 0 && value >= lo && value <= hi) {
+			ticks.push(sign * value);
+		}
+	}
+
+	if(ticks.length < 2) {
+		return scale.ticks();
+	}
+
+	return ticks.sort(function(a, b) {
+		return a - b;
+	});
+}
+
+/**
+	Gets the minor ticks for a log scale: 2 and 5 times each power of its base that are
+	within the domain and less than the next power.
+	@method getLogMinorTicks
+	@param scale {Function} a d3 log scale
+	@return {Array} the minor tick values
+*/
+function getLogMinorTicks(scale) {
+	var base = scale.base();
+	var extent = logExtent(scale);
+	var lo = extent[0] * (1 - 1e-12);
+	var hi = extent[1] * (1 + 1e-12);
+	var sign = extent[2];
+	var start = Math.floor(Math.log(extent[0]) / Math.log(base));
+	var end = Math.ceil(Math.log(extent[1]) / Math.log(base));
+	var multiples = [2, 5];
+	var ticks = [];
+
+	for(var k = start; k <= end; k++) {
+		for(var i = 0; i < multiples.length; i++) {
+			var value = multiples[i] * Math.pow(base, k);
+			if(multiples[i] < base && value >= lo && value <= hi) {
+				ticks.push(sign * value);
+			}
+		}
+	}
+
+	return ticks.sort(function(a, b) {
+		return a - b;
+	});
+}
+
+/**
+	Gets the ticks for a symlog scale: zero and the powers of ten on either side of it
+	that are within the domain, starting at the power nearest the scale's constant. If there
+	are more powers than `tickCount`, every nth power is used. If the domain is within the
+	linear region around zero, linear ticks are used instead.
+	@method getSymlogTicks
+	@param domain {Array} the domain of the scale
+	@param constant {Number} the linear threshold of the scale
+	@param tickCount {Number} the desired maximum number of ticks
+	@return {Array} the tick values
+	@private
+*/
+function getSymlogTicks(domain, constant, tickCount) {
+	var lo = Math.min(domain[0], domain[1]);
+	var hi = Math.max(domain[0], domain[1]);
+	var linearTicks = d3.scale.linear().domain([lo, hi]).ticks(tickCount);
+	var start = Math.floor(Math.log(constant) / Math.LN10);
+	var end = Math.ceil(Math.log(Math.max(Math.abs(lo), Math.abs(hi))) / Math.LN10);
+
+	if(end - start < 2) {
+		return linearTicks;
+	}
+
+	var perSide = (lo < 0 ? 1 : 0) + (hi > 0 ? 1 : 0);
+	var step = Math.max(1, Math.ceil((end - start + 1) * perSide / (tickCount || 1)));
+	var ticks = lo <= 0 && hi >= 0 ? [0] : [];
+	var min = lo - Math.abs(lo) * 1e-12;
+	var max = hi + Math.abs(hi) * 1e-12;
+
+	for(var k = start; k <= end; k++) {
+		var value = Math.pow(10, k);
+		if((k - start) % step === 0) {
+			if(value >= min && value <= max) {
+				ticks.push(value);
+			}
+			if(-value >= min && -value <= max) {
+				ticks.push(-value);
+			}
+		}
+	}
+
+	if(ticks.length < 2) {
+		return linearTicks;
+	}
+
+	return ticks.sort(function(a, b) {
+		return a - b;
+	});
+}
+
+/**
+	Extends the ends of a symlog domain outside of the linear region away from zero to
+	the next power of ten. Ends within the linear region are niced linearly.
+	@method niceSymlogDomain
+	@param domain {Array} the domain of the scale
+	@param constant {Number} the linear threshold of the scale
+	@param tickCount {Number} the tick count to nice linear ends with
+	@return {Array} the niced domain
+	@private
+*/
+function niceSymlogDomain(domain, constant, tickCount) {
+	var linearDomain = d3.scale.linear().domain(domain).nice(tickCount).domain();
+	return domain.map(function(d, i) {
+		var abs = Math.abs(d);
+		if(abs <= constant) {
+			return linearDomain[i];
+		}
+		var sign = d < 0 ? -1 : 1;
+		return sign * Math.pow(10, Math.ceil(Math.log(abs) / Math.LN10 - 1e-12));
+	});
+}
+
+/**
+	Creates a symlog scale around a d3 linear scale, a copy of which is used for the
+	transformed values.
+	@method createSymlogScale
+	@param linear {Function} a d3 linear scale
+	@param constant {Number} the linear threshold
+	@param domain {Array} the untransformed domain
+	@return {Function} the symlog scale
+	@private
+*/
+function createSymlogScale(linear, constant, domain) {
+	var transform = function(x) {
+		x = +x;
+		return (x < 0 ? -1 : 1) * Math.log(1 + Math.abs(x) / constant);
+	};
+
+	var untransform = function(y) {
+		return (y < 0 ? -1 : 1) * (Math.exp(Math.abs(y)) - 1) * constant;
+	};
+
+	function scale(x) {
+		return linear(transform(x));
+	}
+
+	scale.invert = function(y) {
+		return untransform(linear.invert(y));
+	};
+
+	scale.domain = function(x) {
+		if(!arguments.length) {
+			return domain.slice();
+		}
+		domain = x.map(Number);
+		linear.domain(domain.map(transform));
+		return scale;
+	};
+
+	scale.constant = function(c) {
+		if(!arguments.length) {
+			return constant;
+		}
+		constant = +c;
+		return scale.domain(domain);
+	};
+
+	scale.nice = function(tickCount) {
+		return scale.domain(niceSymlogDomain(domain, constant, tickCount));
+	};
+
+	scale.ticks = function(tickCount) {
+		return getSymlogTicks(domain, constant, tickCount);
+	};
+
+	scale.tickFormat = function(tickCount, format) {
+		return d3.format(format || ',g');
+	};
+
+	scale.copy = function() {
+		return createSymlogScale(linear.copy(), constant, domain);
+	};
+
+	['range', 'rangeRound', 'clamp', 'interpolate'].forEach(function(method) {
+		scale[method] = function() {
+			var result = linear[method].apply(linear, arguments);
+			return result === linear ? scale : result;
+		};
+	});
+
+	return scale.domain(domain);
+}
+
+/**
+	Creates a symmetric log scale, which is logarithmic in both directions away from zero and
+	linear close to it, so it can show data that includes zero or negative values. Supports the same
+	methods as a d3 linear scale, and `constant` to get or set the linear threshold.
+	@method symlogScale
+	@param constant {Number} the linear threshold. Values between `-constant` and `constant`
+	are scaled almost linearly. Defaults to `1`.
+	@return {Function} the symlog scale, with a domain of `[0, 1]` and a range of `[0, 1]`
+*/
+function symlogScale(constant) {
+	return createSymlogScale(d3.scale.linear(), +constant || 1, [0, 1]);
+}
+
+export { normalizeScale, isTimeScaleType, toDate, addDomainEndpoints, getLogTicks, getLogMinorTicks, symlogScale };
\ No newline at end of file
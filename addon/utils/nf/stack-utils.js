@@ -0,0 +1,90 @@
+/**
+  @module utils/nf/stack-utils
+*/
+
+/**
+  Gets a key for an x value that can be used to look it up in an object.
+  @method xKey
+  @param x {Any} the x value
+  @return {String} the key
+  @private
+*/
+function xKey(x) {
+  return x instanceof Date ? String(+x) : String(x);
+}
+
+/**
+  Stacks layers of sorted data points from data graphics, such as
+  {{#crossLink "mixins.graph-data-graphic/sortedData:property"}}{{/crossLink}}, on top of one another.
+
+  The layers are aligned on the union of their x values. A layer missing an x value contributes
+  `0` at that x. Each layer in the result is an array of points structured as:
+
+          [x, y0 + y, y0]
+
+  where `y0` is the baseline of the point. Points have the `data` and `origIndex` of the
+  original data point, if there was one.
+
+  @method stackData
+  @param layers {Array} the layers of `[x, y]` data points, bottom layer first
+  @param offset {String} the d3 stack offset: `'zero'`, `'expand'`, `'wiggle'` or `'silhouette'`
+  @param ordinal {Boolean} if `true`, x values keep the order they are first found in,
+  otherwise they are sorted ascending.
+  @return {Array} the stacked layers, in the same order as `layers`
+*/
+export function stackData(layers, offset, ordinal) {
+  if(!layers || layers.length === 0) {
+    return [];
+  }
+
+  var xs = [];
+  var found = {};
+
+  layers.forEach(function(layer) {
+    layer.forEach(function(d) {
+      var key = xKey(d[0]);
+      if(!found[key]) {
+        found[key] = true;
+        xs.push(d[0]);
+      }
+    });
+  });
+
+  if(!ordinal) {
+    xs.sort(function(a, b) {
+      return a === b ? 0 : (a > b) ? 1 : -1;
+    });
+  }
+
+  var stackedLayers = layers.map(function(layer) {
+    var lookup = {};
+    layer.forEach(function(d) {
+      lookup[xKey(d[0])] = d;
+    });
+
+    return xs.map(function(x) {
+      var d = lookup[xKey(x)];
+      var point = [x, d ? +d[1] || 0 : 0, 0];
+      if(d) {
+        point.data = d.data;
+        point.origIndex = d.origIndex;
+      }
+      return point;
+    });
+  });
+
+  d3.layout.stack()
+    .offset(offset || 'zero')
+    .x(function(p, i) {
+      return ordinal ? i : +p[0];
+    })
+    .y(function(p) {
+      return p[1];
+    })
+    .out(function(p, y0, y) {
+      p[1] = y0 + y;
+      p[2] = y0;
+    })(stackedLayers);
+
+  return stackedLayers;
+}
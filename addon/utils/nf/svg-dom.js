@@ -74,28 +74,50 @@ export function downloadSvg(svg) {
   });
 }
 
+/**
+  Gets the client position of a mouse or touch event. For touch events, the position
+  of the first touch on the surface is used, or of the first touch that ended if there are none.
+  @method getClientPoint
+  @param e {MouseEvent|TouchEvent} a jQuery event, or an object with `clientX` and `clientY`
+  @return {Object} the `{ clientX, clientY }` of the event, or `null` if it has no position
+*/
+export function getClientPoint(e) {
+  if(!e) {
+    return null;
+  }
+
+  if(e.hasOwnProperty('clientX') && e.hasOwnProperty('clientY')) {
+    return { clientX: e.clientX, clientY: e.clientY };
+  }
+
+  var source = e.originalEvent || e;
+  var touch = (source.touches && source.touches[0]) || (source.changedTouches && source.changedTouches[0]);
+  return touch ? { clientX: touch.clientX, clientY: touch.clientY } : null;
+}
+
 /**
   @method getMousePoint
   @param container {SVGElement} the container reference to get the mouse position from
-  @param e {MouseEvent} A DOM mouse event
+  @param e {MouseEvent|TouchEvent} A DOM mouse or touch event. See `getClientPoint`.
   @return {Array} the [x,y] data of the mouse position relative to the container
 */
 export function getMousePoint(container, e) {
   var x, y;
+  var client = getClientPoint(e);
   
-  if(e && e.hasOwnProperty('clientX') && e.hasOwnProperty('clientY')) {
+  if(client) {
     var svg = container.ownerSVGElement || container;
     if (svg.createSVGPoint) {
       var point = svg.createSVGPoint();
-      point.x = e.clientX;
-      point.y = e.clientY;
+      point.x = client.clientX;
+      point.y = client.clientY;
       point = point.matrixTransform(container.getScreenCTM().inverse());
       x = point.x;
       y = point.y;
     } else {
       var rect = container.getBoundingClientRect();
-      x = e.clientX - rect.left - container.clientLeft; 
-      y = e.clientY - rect.top - container.clientTop;
+      x = client.clientX - rect.left - container.clientLeft; 
+      y = client.clientY - rect.top - container.clientTop;
     }
   }
 
@@ -122,4 +144,44 @@ export function getRectPath(x, y, w, h) {
   var x2 = w + x;
   var y2 = h + y;
   return 'M%@1,%@2 L%@1,%@4 L%@3,%@4 L%@3,%@2 L%@1,%@2'.fmt(x, y, x2, y2);
+}
+
+/**
+  Creates an SVG path string for a symbol centered at a given point. Built by
+  concatenation, rather than `fmt`, because it's called for every point in dense plots.
+  @method getSymbolPath
+  @param shape {String} the symbol to draw. `'circle'`, `'square'`, `'diamond'`, 
+  `'triangle-up'`, `'triangle-down'` or `'cross'`. Defaults to `'circle'`.
+  @param x {Number} the x position of the center of the symbol
+  @param y {Number} the y position of the center of the symbol
+  @param r {Number} the distance from the center to the edge of the symbol
+  @return {String} the svg path string for the symbol
+*/
+export function getSymbolPath(shape, x, y, r) {
+  x = +x || 0;
+  y = +y || 0;
+  r = +r || 0;
+
+  var x0 = x - r;
+  var x1 = x + r;
+  var y0 = y - r;
+  var y1 = y + r;
+
+  switch(shape) {
+    case 'square':
+      return 'M' + x0 + ',' + y0 + 'L' + x1 + ',' + y0 + 'L' + x1 + ',' + y1 + 'L' + x0 + ',' + y1 + 'Z';
+    case 'diamond':
+      return 'M' + x + ',' + y0 + 'L' + x1 + ',' + y + 'L' + x + ',' + y1 + 'L' + x0 + ',' + y + 'Z';
+    case 'triangle-up':
+      return 'M' + x + ',' + y0 + 'L' + x1 + ',' + y1 + 'L' + x0 + ',' + y1 + 'Z';
+    case 'triangle-down':
+      return 'M' + x + ',' + y1 + 'L' + x1 + ',' + y0 + 'L' + x0 + ',' + y0 + 'Z';
+    case 'cross':
+      var t = r / 3;
+      return 'M' + x0 + ',' + (y - t) + 'H' + (x - t) + 'V' + y0 + 'H' + (x + t) + 'V' + (y - t) + 'H' + x1 +
+        'V' + (y + t) + 'H' + (x + t) + 'V' + y1 + 'H' + (x - t) + 'V' + (y + t) + 'H' + x0 + 'Z';
+    default:
+      return 'M' + x0 + ',' + y + 'A' + r + ',' + r + ' 0 1,0 ' + x1 + ',' + y + 
+        'A' + r + ',' + r + ' 0 1,0 ' + x0 + ',' + y + 'Z';
+  }
 }
\ No newline at end of file
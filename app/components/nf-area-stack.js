@@ -1,4 +1,6 @@
 import Ember from 'ember';
+import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
+import { stackData } from 'ember-cli-nf-graph/utils/nf/stack-utils';
 
 /**
 	A component for grouping and stacking `nf-area` components in an `nf-graph`.
@@ -19,10 +21,23 @@ import Ember from 'ember';
 	 			{{/nf-graph-content}}
 	 		{{/nf-graph}}
 
+	### Stacking raw values
+
+	Set `stackOffset` to have the stack compute the baseline of each area from raw y values,
+	rather than having them pre-stacked. The first area is drawn on top, and the last at the bottom.
+	The stacked values are graphed, so the y domain fits the whole stack.
+
+	 		{{#nf-area-stack stackOffset="expand"}}
+	 			{{nf-area data=myData xprop="time" yprop="errors"}}
+	 			{{nf-area data=myData xprop="time" yprop="warnings"}}
+	 			{{nf-area data=myData xprop="time" yprop="info"}}
+	 		{{/nf-area-stack}}
+
 	@namespace components
 	@class nf-area-stack 
+	@uses mixins.graph-has-graph-parent
 */
-export default Ember.Component.extend({
+export default Ember.Component.extend(HasGraphParent, {
 	tagName: 'g',
 
 	/**
@@ -34,6 +49,21 @@ export default Ember.Component.extend({
   */
 	isAreaStack: true,
 
+	/**
+		How the areas are stacked from their raw y values. Possible values are:
+
+		- `null` - The y values are already stacked by the caller; each area is drawn down to the next one.
+		- `'zero'` - The areas are stacked on a zero baseline.
+		- `'expand'` - The areas are stacked and normalized so each x totals `1`, for percentage graphs.
+		- `'wiggle'` - The baseline is shifted to minimize the change in slope (a streamgraph).
+		- `'silhouette'` - The areas are stacked centered around zero.
+
+		@property stackOffset
+		@type String
+		@default null
+	*/
+	stackOffset: null,
+
 	/**
 		The collection of `nf-area` components under this stack.
 		@property areas
@@ -44,6 +74,29 @@ export default Ember.Component.extend({
 		return [];
 	}.property(),
 
+	/**
+		The stacked data for each area, in the same order as `areas`, or `null` if
+		`stackOffset` is not set.
+		@property stackedLayers
+		@type Array
+		@readonly
+	*/
+	stackedLayers: function(){
+		var stackOffset = this.get('stackOffset');
+		if(!stackOffset) {
+			return null;
+		}
+
+		var layers = this.get('areas').map(function(area) {
+			return area.get('sortedData') || [];
+		});
+
+		var ordinal = this.get('graph.xScaleType') === 'ordinal';
+
+		// the last area is the bottom of the stack
+		return stackData(layers.reverse(), stackOffset, ordinal).reverse();
+	}.property('stackOffset', 'areas.@each.sortedData', 'graph.xScaleType'),
+
 	/**
 		Registers an area component with this stack. Also links areas to one
 		another by setting `nextArea` on each area component.
@@ -6,6 +6,7 @@ import DataGraphic from 'ember-cli-nf-graph/mixins/graph-data-graphic';
 import AreaUtils from 'ember-cli-nf-graph/mixins/graph-area-utils';
 import GraphicWithTrackingDot from 'ember-cli-nf-graph/mixins/graph-graphic-with-tracking-dot';
 import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import CanvasGraphic from 'ember-cli-nf-graph/mixins/graph-canvas-graphic';
 
 /**
   Adds an area graph to an `nf-graph` component.
@@ -22,11 +23,20 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
   @uses mixins.graph-data-graphic
   @uses mixins.graph-graphic-with-tracking-dot
   @uses mixins.graph-requires-scale-source
+  @uses mixins.graph-canvas-graphic
 */
 export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGraphic, 
-  Selectable, AreaUtils, GraphicWithTrackingDot, RequireScaleSource, {    
+  Selectable, AreaUtils, GraphicWithTrackingDot, RequireScaleSource, CanvasGraphic, {    
 
     tagName: 'g',
+
+    /**
+      The selector of the path styled for the canvas renderer.
+      @property canvasPathSelector
+      @type String
+      @private
+    */
+    canvasPathSelector: '.area',
     
     classNameBindings: [':nf-area', 'selected', 'selectable'],
 
@@ -69,16 +79,39 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
       }
     }.on('willDestroyElement'),
 
+    /**
+      The stacked data for this area, if it is part of an `nf-area-stack` with a `stackOffset`.
+      @property stackedData
+      @type Array
+      @readonly
+    */
+    stackedData: function(){
+      var stack = this.get('stack');
+      var layers = stack && stack.get('stackedLayers');
+      if(!layers) {
+        return null;
+      }
+      return layers[stack.get('areas').indexOf(this)] || null;
+    }.property('stack.stackedLayers'),
+
     /**
       The computed set of next y values to use for the "bottom" of the graphed area.
-      If the area is part of a stack, this will be the "top" of the next area in the stack,
-      otherwise it will return an array of values at the "bottom" of the graph domain.
+      If the area is part of a stack, this will be the "top" of the next area in the stack
+      (or the stacked baseline, if the stack has a `stackOffset`), otherwise it will return an
+      array of values at the "bottom" of the graph domain.
       @property nextYData
       @type Array
       @readonly
     */
     nextYData: function(){
       var renderedData = this.get('renderedData');
+
+      if(this.get('stackedData')) {
+        return renderedData.map(function(d) {
+          return d[2];
+        });
+      }
+
       var nextData = this.get('nextArea.renderedData') || [];
         
       var result = nextData.map(function(next) {
@@ -90,7 +123,7 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
       }
 
       return result;
-    }.property('renderedData.@each', 'nextArea.renderedData.@each'),
+    }.property('renderedData.@each', 'nextArea.renderedData.@each', 'stackedData'),
 
     /**
       The current rendered data "zipped" together with the nextYData.
@@ -120,14 +153,44 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
     }.property('xScale', 'yScale', 'interpolator'),
 
     /**
-      The SVG path data for the area
+      The SVG path data for the area. The area data is downsampled as a whole, so the
+      top and bottom of the area stay aligned.
       @property d
       @type String
       @readonly
     */
     d: function(){
-      return this.get('areaFn')(this.get('areaData'));
-    }.property('areaData', 'areaFn'),
+      return this.get('areaFn')(this.decimateData(this.get('areaData')));
+    }.property('areaData', 'areaFn', 'decimation', 'decimationThreshold', 'graph.xScaleType'),
+
+    /**
+      The function to trace the area onto a canvas `Path2D`.
+      @property canvasAreaFn
+      @type Function
+      @readonly
+      @private
+    */
+    canvasAreaFn: function(){
+      var xScale = this.get('xScale');
+      var yScale = this.get('yScale');
+      var interpolator = this.get('interpolator');
+      return this.createCanvasAreaFn(xScale, yScale, interpolator);
+    }.property('xScale', 'yScale', 'interpolator'),
+
+    /**
+      The `Path2D` to draw the area on the canvas, traced from the area data rather than from `d`.
+      `null` unless `renderer` is `'canvas'`.
+      @property canvasPath
+      @type Path2D
+      @readonly
+      @private
+    */
+    canvasPath: function(){
+      if(!this.get('isCanvasRenderer')) {
+        return null;
+      }
+      return this.get('canvasAreaFn')(this.decimateData(this.get('areaData')));
+    }.property('isCanvasRenderer', 'areaData', 'canvasAreaFn', 'decimation', 'decimationThreshold', 'graph.xScaleType'),
 
     click: function(){
       if(this.get('selectable')) {
@@ -1,6 +1,22 @@
 import Ember from 'ember';
 import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
 import RequiresScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import { stackData } from 'ember-cli-nf-graph/utils/nf/stack-utils';
+
+/**
+	Swaps the x and y of a data point, keeping its baseline, `data` and `origIndex`, so horizontal
+	bars can be stacked along x.
+	@method swapPoint
+	@param d {Array} the data point
+	@return {Array} the swapped data point
+	@private
+*/
+var swapPoint = function(d) {
+	var point = [d[1], d[0]].concat(d.slice(2));
+	point.data = d.data;
+	point.origIndex = d.origIndex;
+	return point;
+};
 
 export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 	tagName: 'g',
@@ -11,6 +27,61 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 
 	groupOuterPadding: 0,
 
+	/**
+		How the bars in the group are laid out. Possible values are:
+
+		- `null` - The bars are drawn side by side.
+		- `'zero'` - The bars are stacked on a zero baseline, with the first `nf-bars` at the bottom.
+		- `'expand'` - The bars are stacked and normalized so each x totals `1`, for percentage bars.
+		- `'wiggle'` - The baseline is shifted to minimize the change in slope between x values.
+		- `'silhouette'` - The bars are stacked centered around zero.
+
+		When stacked, the stacked values are graphed, so the y domain fits the whole stack.
+		Horizontal bars are stacked along the x axis, with the first `nf-bars` at the left, and
+		the x domain fits the whole stack.
+		@property stackOffset
+		@type String
+		@default null
+	*/
+	stackOffset: null,
+
+	/**
+		Returns `true` if the bars are stacked.
+		@property isStacked
+		@type Boolean
+		@readonly
+	*/
+	isStacked: function(){
+		return !!this.get('stackOffset');
+	}.property('stackOffset'),
+
+	/**
+		The stacked data for each `nf-bars`, in the same order as `barses`, or `null` if
+		`stackOffset` is not set. Vertical bars are stacked as `[x, y0 + y, y0]`, and horizontal
+		bars as `[x0 + x, y, x0]`.
+		@property stackedLayers
+		@type Array
+		@readonly
+	*/
+	stackedLayers: function(){
+		if(!this.get('isStacked')) {
+			return null;
+		}
+
+		var isHorizontal = this.get('orient') === 'horizontal';
+		var layers = this.get('barses').map(function(bars) {
+			var data = bars.get('sortedData') || [];
+			return isHorizontal ? data.map(swapPoint) : data;
+		});
+
+		var ordinal = this.get(isHorizontal ? 'graph.yScaleType' : 'graph.xScaleType') === 'ordinal';
+		var stacked = stackData(layers, this.get('stackOffset'), ordinal);
+
+		return isHorizontal ? stacked.map(function(layer) {
+			return layer.map(swapPoint);
+		}) : stacked;
+	}.property('isStacked', 'stackOffset', 'orient', 'barses.@each.sortedData', 'graph.xScaleType', 'graph.yScaleType'),
+
 	// either b-arses or fat, stupid hobbitses
 	barses: function(){
 		return [];
@@ -31,15 +102,28 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 		}
 	},
 
+	/**
+		The orientation of the `nf-bars` in the group, `'vertical'` or `'horizontal'`.
+		Horizontal bars are grouped along the ordinal y scale.
+		@property orient
+		@type String
+		@default 'vertical'
+	*/
+	orient: 'vertical',
+
 	groupWidth: function(){
-		var xScale = this.get('xScale');
-		return xScale && xScale.rangeBand ? xScale.rangeBand() : NaN;
-	}.property('xScale'),
+		var scale = this.get('orient') === 'horizontal' ? this.get('yScale') : this.get('xScale');
+		return scale && scale.rangeBand ? scale.rangeBand() : NaN;
+	}.property('xScale', 'yScale', 'orient'),
 
 	barsDomain: function(){
+		if(this.get('isStacked')) {
+			// stacked bars share a single band
+			return [0];
+		}
 		var len = this.get('barses.length') || 0;
 		return d3.range(len);
-	}.property('barses.[]'),
+	}.property('barses.[]', 'isStacked'),
 
 	barScale: function(){
 		var barsDomain = this.get('barsDomain');
@@ -11,7 +11,16 @@ import { getRectPath } from 'ember-cli-nf-graph/utils/nf/svg-dom';
 /**
 	Adds a bar graph to an `nf-graph` component.
 
-	**Requires the graph has `xScaleType === 'ordinal'`***
+	**Requires the graph has `xScaleType === 'ordinal'`***, or `yScaleType === 'ordinal'` when
+	`orient` is `'horizontal'`.
+
+	### Horizontal bars
+
+			{{#nf-graph width=400 height=300 yScaleType="ordinal"}}
+				{{#nf-graph-content}}
+					{{nf-bars data=endpoints xprop="requests" yprop="name" orient="horizontal"}}
+				{{/nf-graph-content}}
+			{{/nf-graph}}
 
 	@namespace components
   @class nf-bars
@@ -26,6 +35,8 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
 
 	classNames: ['nf-bars'],
 
+	classNameBindings: ['isHorizontal:nf-bars-horizontal'],
+
 	/**
 		The name of the property on each data item containing the className for the bar rectangle
 		@property classprop
@@ -78,7 +89,44 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
 	barScale: Ember.computed.oneWay('group.barScale'),
 
 	/**
-		The width of each bar.
+		The orientation of the bars. Possible values are:
+
+		- `'vertical'` - Bars rise from the bottom of the graph, positioned on an ordinal x scale.
+		- `'horizontal'` - Bars extend from the left of the graph, positioned on an ordinal y scale.
+
+		Defaults to the `orient` of the `nf-bars-group` this belongs to, if any.
+		@property orient
+		@type String
+		@default 'vertical'
+	*/
+	orient: function(key, value) {
+		if(arguments.length > 1) {
+			return value;
+		}
+		return this.get('group.orient') || 'vertical';
+	}.property('group.orient'),
+
+	/**
+		Returns `true` if `orient` is `'horizontal'`.
+		@property isHorizontal
+		@type Boolean
+		@readonly
+	*/
+	isHorizontal: Ember.computed.equal('orient', 'horizontal'),
+
+	/**
+		The scale the bars are positioned on; the x scale when vertical, or the y scale when horizontal.
+		@property bandScale
+		@type d3.scale
+		@readonly
+		@private
+	*/
+	bandScale: function(){
+		return this.get('isHorizontal') ? this.get('yScale') : this.get('xScale');
+	}.property('isHorizontal', 'xScale', 'yScale'),
+
+	/**
+		The width of each bar, or its height when horizontal.
 		@property barWidth
 		@type Number
 		@readonly
@@ -88,15 +136,84 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
 		if(barScale) {
 			return barScale.rangeBand();
 		}
-		var xScale = this.get('xScale');
-		return xScale && xScale.rangeBand ? xScale.rangeBand() : 0;
-	}.property('xScale', 'barScale'),
+		var bandScale = this.get('bandScale');
+		return bandScale && bandScale.rangeBand ? bandScale.rangeBand() : 0;
+	}.property('bandScale', 'barScale'),
 
-	groupOffsetX: function(){
+	/**
+		The offset of the bars within their band when in an `nf-bars-group`.
+		@property groupOffset
+		@type Number
+		@readonly
+		@private
+	*/
+	groupOffset: function(){
 		var barScale = this.get('barScale');
-		var groupIndex = this.get('groupIndex');
+		var groupIndex = this.get('stackedData') ? 0 : this.get('groupIndex');
 		return normalizeScale(barScale, groupIndex);
-	}.property('barScale', 'groupIndex'),
+	}.property('barScale', 'groupIndex', 'stackedData'),
+
+	/**
+		The stacked data for these bars, if they are part of an `nf-bars-group` with a `stackOffset`.
+		@property stackedData
+		@type Array
+		@readonly
+	*/
+	stackedData: function(){
+		var layers = this.get('group.stackedLayers');
+		var groupIndex = this.get('groupIndex');
+		return layers && layers[groupIndex] || null;
+	}.property('group.stackedLayers', 'groupIndex'),
+
+	/**
+		The stacked tops and baselines pooled into the graph's y data. Horizontal bars are
+		stacked along x, so they have none.
+		@property stackedYData
+		@type Array
+		@readonly
+	*/
+	stackedYData: function(){
+		var stackedData = this.get('stackedData');
+		if(!stackedData || this.get('isHorizontal')) {
+			return null;
+		}
+		var all = [];
+		stackedData.forEach(function(d) {
+			all.push(d[1], d[2]);
+		});
+		return all;
+	}.property('stackedData.[]', 'isHorizontal'),
+
+	/**
+		The stacked rights and baselines of horizontal bars, pooled into the graph's x data in
+		place of `xData` so the stacked extent is graphed.
+		@property stackedXData
+		@type Array
+		@readonly
+	*/
+	stackedXData: function(){
+		var stackedData = this.get('stackedData');
+		if(!stackedData || !this.get('isHorizontal')) {
+			return null;
+		}
+		var all = [];
+		stackedData.forEach(function(d) {
+			all.push(d[0], d[2]);
+		});
+		return all;
+	}.property('stackedData.[]', 'isHorizontal'),
+
+	/**
+		All of the data points. Bars are positioned on an ordinal scale, so they are not
+		filtered by the x domain.
+		@property renderedData
+		@type Array
+		@readonly
+	*/
+	renderedData: function(){
+		var data = this.get('stackedData') || this.get('sortedData');
+		return data ? data.slice() : [];
+	}.property('sortedData.@each', 'stackedData.[]'),
 
 	/**
 		The bar models used to render the bars.
@@ -108,27 +225,109 @@ export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGra
 		var yScale = this.get('yScale');
 		var renderedData = this.get('renderedData');
 		var graphHeight = this.get('graphHeight');
+		var graphWidth = this.get('graph.graphWidth');
+		var xReverse = this.get('graph.xReverse');
+		var yReverse = this.get('graph.yReverse');
 		var getBarClass = this.get('getBarClass');
-		var groupOffsetX = this.get('groupOffsetX');
+		var groupOffset = this.get('groupOffset');
+		var isHorizontal = this.get('isHorizontal');
 
 		if(!xScale || !yScale || !Ember.isArray(renderedData)) {
 			return null;
 		}
 
 		var w = this.get('barWidth');
+		var stacked = !!this.get('stackedData');
+
+		// bars grow from the edge of the graph the axis starts at
+		var xBase = xReverse ? graphWidth : 0;
+		var yBase = yReverse ? 0 : graphHeight;
 
 		return renderedData.map(function(d) {
-			var barClass = 'nf-bars-bar' + getBarClass ? ' ' + getBarClass(d.data) : '';
-			var x = normalizeScale(xScale, d[0]) + groupOffsetX;
-			var y = normalizeScale(yScale, d[1]);
-			var h = graphHeight - y;
+			var barClass = 'nf-bars-bar' + (getBarClass ? ' ' + (getBarClass(d.data) || '') : '');
+			var x, y, h, dotX, dotY;
+
+			if(isHorizontal) {
+				y = normalizeScale(yScale, d[1]) + groupOffset;
+				x = normalizeScale(xScale, d[0]);
+				var x0 = stacked ? normalizeScale(xScale, d[2]) : xBase;
+				dotX = x;
+				dotY = y + w / 2;
+				return {
+					path: getRectPath(x0, y, x - x0, w),
+					className: barClass,
+					dotX: dotX,
+					dotY: dotY,
+					data: d,
+				};
+			}
+
+			x = normalizeScale(xScale, d[0]) + groupOffset;
+			y = normalizeScale(yScale, d[1]);
+			h = (stacked ? normalizeScale(yScale, d[2]) : yBase) - y;
 			return {
 				path: getRectPath(x, y, w, h),
 				className: barClass,
+				dotX: x + w / 2,
+				dotY: y,
 				data: d,
 			};
 		});
-	}.property('xScale', 'yScale', 'renderedData.[]', 'graphHeight', 'getBarClass', 'barWidth', 'groupOffsetX'),
+	}.property('xScale', 'yScale', 'renderedData.[]', 'graphHeight', 'getBarClass', 'barWidth', 'groupOffset',
+		'stackedData', 'isHorizontal', 'graph.graphWidth', 'graph.xReverse', 'graph.yReverse'),
+
+	/**
+		Finds the data point for the bar nearest to a pixel position, along the bars' ordinal scale.
+		@method getDataNearRange
+		@param rangeX {Number} the x pixel position relative to the graph content
+		@param rangeY {Number} the y pixel position relative to the graph content
+		@return {Array} the data point
+	*/
+	getDataNearRange: function(rangeX, rangeY) {
+		if(!this.get('isHorizontal')) {
+			return this.getDataNearXRange(rangeX);
+		}
+
+		var yScale = this.get('yScale');
+		var renderedData = this.get('renderedData');
+		var halfBand = yScale && yScale.rangeBand ? yScale.rangeBand() / 2 : 0;
+		var nearest = null;
+		var nearestDistance = Infinity;
+
+		if(+rangeY !== +rangeY) {
+			return null;
+		}
+
+		renderedData.forEach(function(d) {
+			var distance = Math.abs(normalizeScale(yScale, d[1]) + halfBand - rangeY);
+			if(distance < nearestDistance) {
+				nearestDistance = distance;
+				nearest = d;
+			}
+		});
+
+		return nearest;
+	},
+
+	/**
+		The bar model for the `trackedData`, used to position the tracking dot.
+		@property trackedBar
+		@readonly
+		@private
+	*/
+	trackedBar: function(){
+		var trackedData = this.get('trackedData');
+		var bars = this.get('bars');
+		if(!trackedData || !bars) {
+			return null;
+		}
+		var data = Ember.get(trackedData, 'data');
+		var x = Ember.get(trackedData, 'x');
+		var y = Ember.get(trackedData, 'y');
+		return bars.find(function(bar) {
+			return bar.data.data === data && bar.data[0] === x && bar.data[1] === y;
+		}) || null;
+	}.property('trackedData', 'bars'),
 
 	/**
 		The name of the action to fire when a bar is clicked.
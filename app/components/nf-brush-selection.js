@@ -1,6 +1,8 @@
 import Ember from 'ember';
 import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
 import RequiresScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import { getRectPath } from 'ember-cli-nf-graph/utils/nf/svg-dom';
+import { getFormatter } from 'ember-cli-nf-graph/utils/nf/formatters';
 
 export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 	tagName: 'g',
@@ -9,20 +11,64 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 
 	right: undefined,
 
+	/**
+		The top (maximum) y domain value of the selection. When both `top` and `bottom`
+		are set, the selection is bounded vertically.
+		@property top
+		@type Number
+		@default undefined
+	*/
+	top: undefined,
+
+	/**
+		The bottom (minimum) y domain value of the selection.
+		@property bottom
+		@type Number
+		@default undefined
+	*/
+	bottom: undefined,
+
+	/**
+		The format of the displayed selection bounds. Can be a function, a d3 format specifier,
+		or the name of a preset such as `'si'` or `'duration'`. See the `utils/nf/formatters` module.
+		@property formatter
+		@type Function|String
+		@default null
+	*/
 	formatter: null,
 
+	/**
+		The formatting function for `formatter`.
+		@property formatterFn
+		@type Function
+		@readonly
+		@private
+	*/
+	formatterFn: function(){
+		return getFormatter(this.get('formatter'));
+	}.property('formatter'),
+
 	textPadding: 3,
 
 	autoWireUp: true,
 
 	_autoBrushHandler: function(e) {
-		this.set('left', Ember.get(e, 'left.x'));
-		this.set('right', Ember.get(e, 'right.x'));
+		var dimension = this.get('graph.brushDimension');
+		if(dimension !== 'y') {
+			this.set('left', Ember.get(e, 'left.x'));
+			this.set('right', Ember.get(e, 'right.x'));
+		}
+		if(dimension === 'y' || dimension === 'xy') {
+			this.set('top', Ember.get(e, 'top.y'));
+			this.set('bottom', Ember.get(e, 'bottom.y'));
+		}
 	},
 
 	_autoBrushEndHandler: function(e) {
 		this.set('left', undefined);
 		this.set('right', undefined);
+		this.set('top', undefined);
+		this.set('bottom', undefined);
 	},
 
 	_wireToGraph: function(){
@@ -62,14 +108,14 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 		
 		var textPadding = this.get('textPadding');
 		var leftX = this.get('leftX');
-		var graphHeight = this.get('graphHeight');
+		var selectionBottom = this.get('selectionBottom');
 		var bbox = text[0][0].getBBox();
 
 		var doublePad = textPadding * 2;
 		var width = bbox.width + doublePad;
 		var height = bbox.height + doublePad;
 		var x = Math.max(0, leftX - width);
-		var y = graphHeight - height;
+		var y = selectionBottom - height;
 
 		g.attr('transform', 'translate(%@, %@)'.fmt(x, y));
 		
@@ -82,7 +128,7 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 
 	_onLeftChange: function(){
 		Ember.run.once(this, this._updateLeftText);
-	}.observes('left', 'graphHeight', 'textPadding').on('didInsertElement'),
+	}.observes('left', 'selectionBottom', 'textPadding').on('didInsertElement'),
 
 	_updateRightText: function(){
 		var root = d3.select(this.element);
@@ -102,7 +148,7 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 
 		var textPadding = this.get('textPadding');
 		var rightX = this.get('rightX');
-		var graphHeight = this.get('graphHeight');
+		var selectionBottom = this.get('selectionBottom');
 		var graphWidth = this.get('graphWidth');
 		var bbox = text[0][0].getBBox();
 
@@ -110,7 +156,7 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 		var width = bbox.width + doublePad;
 		var height = bbox.height + doublePad;
 		var x = Math.min(graphWidth - width, rightX);
-		var y = graphHeight - height;
+		var y = selectionBottom - height;
 
 		g.attr('transform', 'translate(%@, %@)'.fmt(x, y));
 		
@@ -123,26 +169,139 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 
 	_onRightChange: function(){
 		Ember.run.once(this, this._updateRightText);
-	}.observes('right', 'graphHeight', 'graphWidth', 'textPadding').on('didInsertElement'),
+	}.observes('right', 'selectionBottom', 'graphWidth', 'textPadding').on('didInsertElement'),
+
+	_updateTopText: function(){
+		var root = d3.select(this.element);
+		var g = root.select('.nf-brush-selection-top-display');
+		var text = g.select('.nf-brush-selection-top-text');
+		var bg = g.select('.nf-brush-selection-top-text-bg');
+
+		var display = this.get('topDisplay');
+
+		if(!display) {
+			g.attr('hidden', true);
+		} else {
+			g.attr('hidden', null);
+		}
+
+		text.text(display);
+
+		var textPadding = this.get('textPadding');
+		var topY = this.get('topY');
+		var selectionLeft = this.get('selectionLeft');
+		var bbox = text[0][0].getBBox();
+
+		var doublePad = textPadding * 2;
+		var width = bbox.width + doublePad;
+		var height = bbox.height + doublePad;
+		var x = selectionLeft;
+		var y = Math.max(0, topY - height);
+
+		g.attr('transform', 'translate(%@, %@)'.fmt(x, y));
+		
+		text.attr('x', textPadding).
+			attr('y', textPadding);
+
+		bg.attr('width', width).
+			attr('height', height);
+	},
+
+	_onTopChange: function(){
+		Ember.run.once(this, this._updateTopText);
+	}.observes('top', 'selectionLeft', 'textPadding').on('didInsertElement'),
+
+	_updateBottomText: function(){
+		var root = d3.select(this.element);
+		var g = root.select('.nf-brush-selection-bottom-display');
+		var text = g.select('.nf-brush-selection-bottom-text');
+		var bg = g.select('.nf-brush-selection-bottom-text-bg');
+
+		var display = this.get('bottomDisplay');
+
+		if(!display) {
+			g.attr('hidden', true);
+		} else {
+			g.attr('hidden', null);
+		}
+
+		text.text(display);
+
+		var textPadding = this.get('textPadding');
+		var bottomY = this.get('bottomY');
+		var selectionLeft = this.get('selectionLeft');
+		var graphHeight = this.get('graphHeight');
+		var bbox = text[0][0].getBBox();
+
+		var doublePad = textPadding * 2;
+		var width = bbox.width + doublePad;
+		var height = bbox.height + doublePad;
+		var x = selectionLeft;
+		var y = Math.min(graphHeight - height, bottomY);
+
+		g.attr('transform', 'translate(%@, %@)'.fmt(x, y));
+		
+		text.attr('x', textPadding).
+			attr('y', textPadding);
+
+		bg.attr('width', width).
+			attr('height', height);
+	},
+
+	_onBottomChange: function(){
+		Ember.run.once(this, this._updateBottomText);
+	}.observes('bottom', 'selectionLeft', 'graphHeight', 'textPadding').on('didInsertElement'),
 
 	leftDisplay: function(){
-		var formatter = this.get('formatter');
+		var formatter = this.get('formatterFn');
 		var left = this.get('left');
 		return formatter ? formatter(left) : left;
-	}.property('left', 'formatter'),
+	}.property('left', 'formatterFn'),
 
 	rightDisplay: function(){
-		var formatter = this.get('formatter');
+		var formatter = this.get('formatterFn');
 		var right = this.get('right');
 		return formatter ? formatter(right) : right;
-	}.property('right', 'formatter'),
-
-	isVisible: function(){
+	}.property('right', 'formatterFn'),
+
+	topDisplay: function(){
+		var formatter = this.get('formatterFn');
+		var top = this.get('top');
+		return formatter ? formatter(top) : top;
+	}.property('top', 'formatterFn'),
+
+	bottomDisplay: function(){
+		var formatter = this.get('formatterFn');
+		var bottom = this.get('bottom');
+		return formatter ? formatter(bottom) : bottom;
+	}.property('bottom', 'formatterFn'),
+
+	/**
+		`true` if both `left` and `right` are numeric, bounding the selection horizontally.
+		@property hasX
+		@type Boolean
+		@readonly
+	*/
+	hasX: function(){
 		var left = +this.get('left');
 		var right = +this.get('right');
 		return left === left && right === right;
 	}.property('left', 'right'),
 
+	/**
+		`true` if both `top` and `bottom` are numeric, bounding the selection vertically.
+		@property hasY
+		@type Boolean
+		@readonly
+	*/
+	hasY: function(){
+		var top = +this.get('top');
+		var bottom = +this.get('bottom');
+		return top === top && bottom === bottom;
+	}.property('top', 'bottom'),
+
+	isVisible: Ember.computed.or('hasX', 'hasY'),
+
 	leftX: function() {
 		var left = this.get('left') || 0;
 		var scale = this.get('xScale');
@@ -155,11 +314,78 @@ export default Ember.Component.extend(HasGraphParent, RequiresScaleSource, {
 		return scale ? scale(right) : 0;
 	}.property('xScale', 'right'),
 
+	topY: function() {
+		var top = this.get('top') || 0;
+		var scale = this.get('yScale');
+		return scale ? scale(top) : 0;
+	}.property('yScale', 'top'),
+
+	bottomY: function() {
+		var bottom = this.get('bottom') || 0;
+		var scale = this.get('yScale');
+		return scale ? scale(bottom) : 0;
+	}.property('yScale', 'bottom'),
+
 	graphWidth: Ember.computed.alias('graph.graphWidth'),
 	
 	graphHeight: Ember.computed.alias('graph.graphHeight'),
 
-	rightWidth: function() {
-		return (this.get('graphWidth') - this.get('rightX')) || 0;
-	}.property('rightX', 'graphWidth'),
+	/**
+		The left edge of the selection in pixels. The left of the graph if the
+		selection isn't bounded horizontally.
+		@property selectionLeft
+		@type Number
+		@readonly
+	*/
+	selectionLeft: function() {
+		return this.get('hasX') ? Math.min(this.get('leftX'), this.get('rightX')) : 0;
+	}.property('hasX', 'leftX', 'rightX'),
+
+	/**
+		The right edge of the selection in pixels. The right of the graph if the
+		selection isn't bounded horizontally.
+		@property selectionRight
+		@type Number
+		@readonly
+	*/
+	selectionRight: function() {
+		return this.get('hasX') ? Math.max(this.get('leftX'), this.get('rightX')) : this.get('graphWidth');
+	}.property('hasX', 'leftX', 'rightX', 'graphWidth'),
+
+	/**
+		The top edge of the selection in pixels. The top of the graph if the
+		selection isn't bounded vertically.
+		@property selectionTop
+		@type Number
+		@readonly
+	*/
+	selectionTop: function() {
+		return this.get('hasY') ? Math.min(this.get('topY'), this.get('bottomY')) : 0;
+	}.property('hasY', 'topY', 'bottomY'),
+
+	/**
+		The bottom edge of the selection in pixels. The bottom of the graph if the
+		selection isn't bounded vertically.
+		@property selectionBottom
+		@type Number
+		@readonly
+	*/
+	selectionBottom: function() {
+		return this.get('hasY') ? Math.max(this.get('topY'), this.get('bottomY')) : this.get('graphHeight');
+	}.property('hasY', 'topY', 'bottomY', 'graphHeight'),
+
+	/**
+		The SVG path data for the overlay covering everything outside of the selection.
+		Drawn with an `evenodd` fill rule, so the selection is cut out of the graph's rectangle.
+		@property overlayPath
+		@type String
+		@readonly
+	*/
+	overlayPath: function() {
+		var left = this.get('selectionLeft');
+		var top = this.get('selectionTop');
+		var outer = getRectPath(0, 0, this.get('graphWidth'), this.get('graphHeight'));
+		var inner = getRectPath(left, top, this.get('selectionRight') - left, this.get('selectionBottom') - top);
+		return outer + ' ' + inner;
+	}.property('selectionLeft', 'selectionRight', 'selectionTop', 'selectionBottom', 'graphWidth', 'graphHeight'),
 });
\ No newline at end of file
@@ -54,10 +54,20 @@ export default Ember.Component.extend(HasGraphParent, {
   */
   isVisible: false,
 
+  /**
+    `true` while the hover is synchronized from another graph in an `nf-graph-group`.
+    Only the vertical line is shown, as there is no mouse y position.
+    @property isSynced
+    @type Boolean
+    @default false
+  */
+  isSynced: false,
+
   didContentHoverChange: function(e) {
     this.set('isVisible', true);
+    this.set('isSynced', e.get('isSynced'));
     this.set('x', e.get('mouseX'));
-    this.set('y', e.get('mouseY'));
+    this.set('y', e.get('isSynced') ? 0 : e.get('mouseY'));
   },
 
   didContentHoverEnd: function() {
@@ -70,5 +80,13 @@ export default Ember.Component.extend(HasGraphParent, {
       content.on('didHoverChange', this, this.didContentHoverChange);
       content.on('didHoverEnd', this, this.didContentHoverEnd);
     }
-  }.observes('graph.content'),
+  }.observes('graph.content').on('didInsertElement'),
+
+  _teardownBindings: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.off('didHoverChange', this, this.didContentHoverChange);
+      content.off('didHoverEnd', this, this.didContentHoverEnd);
+    }
+  }.on('willDestroyElement'),
 });
\ No newline at end of file
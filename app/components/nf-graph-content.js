@@ -1,6 +1,78 @@
 import Ember from 'ember';
 import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
 import GraphMouseEvent from 'ember-cli-nf-graph/utils/nf/graph-mouse-event';
+import { getLogMinorTicks } from 'ember-cli-nf-graph/utils/nf/scale-utils';
+
+/**
+  Splits the space from `0` to `size` into lanes at each of the positions.
+  @method getLanes
+  @param positions {Array} the pixel positions of the ticks
+  @param size {Number} the size of the graph content along the axis
+  @return {Array} the lanes, as objects with a `start` and a `size`
+  @private
+*/
+function getLanes(positions, size) {
+  var sorted = positions.slice().sort(function(a, b) {
+    return a - b;
+  });
+
+  if(sorted[0] !== 0) {
+    sorted.unshift(0);
+  }
+
+  return sorted.map(function(start, i) {
+    var next = i + 1 < sorted.length ? sorted[i + 1] : size;
+    return {
+      start: start,
+      size: next - start
+    };
+  });
+}
+
+/**
+  Gets the pixel positions of minor gridlines between the ticks. On linear scales, `count` gridlines
+  are evenly spaced between each pair of ticks. Log scales use the 2 and 5 multiples from
+  `getLogMinorTicks`, and other scales, such as time scales, use their own ticks at a higher count.
+  @method getMinorPositions
+  @param ticks {Array} the axis tick models, with a `value`
+  @param scale {Function} the d3 scale of the axis
+  @param count {Number} the number of minor gridlines between each pair of ticks
+  @param scaleType {String} the scale type, such as `xScaleType` on `nf-graph`
+  @return {Array} the pixel positions
+  @private
+*/
+function getMinorPositions(ticks, scale, count, scaleType) {
+  if(!ticks || ticks.length < 2 || !scale || scale.rangeBand || count < 1) {
+    return [];
+  }
+
+  var values = ticks.map(function(tick) {
+    return +tick.value;
+  }).sort(function(a, b) {
+    return a - b;
+  });
+
+  scaleType = typeof scaleType === 'string' ? scaleType.toLowerCase() : 'linear';
+
+  if(scaleType !== 'linear' && scale.ticks) {
+    var minorValues = scaleType === 'log' ? getLogMinorTicks(scale) : scale.ticks((values.length - 1) * (count + 1));
+    return minorValues.filter(function(value) {
+      return values.indexOf(+value) === -1;
+    }).map(function(value) {
+      return scale(value);
+    });
+  }
+
+  var positions = [];
+  for(var i = 1; i < values.length; i++) {
+    var a = values[i - 1];
+    var b = values[i];
+    for(var j = 1; j <= count; j++) {
+      positions.push(scale(a + (b - a) * j / (count + 1)));
+    }
+  }
+  return positions;
+}
 
 /**
   Container component for graphics to display in `nf-graph`. Represents
@@ -67,7 +139,8 @@ export default Ember.Component.extend(HasGraphParent, {
 
 
   /**
-    An array containing models to render the grid lanes
+    An array containing models to render the grid lanes between the y axis ticks, including
+    any `tickValues` and domain endpoint ticks
     @property gridLanes
     @type Array
     @readonly
@@ -81,30 +154,69 @@ export default Ember.Component.extend(HasGraphParent, {
       return [];
     }
 
-    var sorted = ticks.slice().sort(function(a, b) {
-      return a.y - b.y;
+    var positions = ticks.map(function(tick) {
+      return tick.y;
     });
 
-    if(sorted[0].y !== 0) {
-      sorted.unshift({ y: 0 });
-    }
-
-    var lanes = sorted.reduce(function(lanes, tick, i) {
-      var y = tick.y;
-      var next = sorted[i+1] || { y: height };
-      var h = next.y - tick.y;
-      lanes.push({
+    return getLanes(positions, height).map(function(lane) {
+      return {
         x: 0,
-        y: y,
+        y: lane.start,
         width: width,
-        height: h
-      });
-      return lanes;
-    }, []);
-
-    return lanes;
+        height: lane.size
+      };
+    });
   }.property('graph.yAxis.ticks', 'width', 'height'),
 
+  /**
+    An array containing models to render vertical grid lanes between the x axis ticks
+    @property xLanes
+    @type Array
+    @readonly
+  */
+  xLanes: function () {
+    var ticks = this.get('graph.xAxis.ticks');
+    var width = this.get('width');
+    var height = this.get('height');
+
+    if(!ticks || ticks.length === 0) {
+      return [];
+    }
+
+    var positions = ticks.map(function(tick) {
+      return tick.x;
+    });
+
+    return getLanes(positions, width).map(function(lane) {
+      return {
+        x: lane.start,
+        y: 0,
+        width: lane.size,
+        height: height
+      };
+    });
+  }.property('graph.xAxis.ticks', 'width', 'height'),
+
+  /**
+    An array containing the x positions of minor fret lines between the x axis ticks
+    @property minorXFrets
+    @type Array
+    @readonly
+  */
+  minorXFrets: function(){
+    return getMinorPositions(this.get('graph.xAxis.ticks'), this.get('graph.xScale'), this.get('graph.minorFretCount'), this.get('graph.xScaleType'));
+  }.property('graph.xAxis.ticks', 'graph.xScale', 'graph.minorFretCount', 'graph.xScaleType'),
+
+  /**
+    An array containing the y positions of minor fret lines between the y axis ticks
+    @property minorYFrets
+    @type Array
+    @readonly
+  */
+  minorYFrets: function(){
+    return getMinorPositions(this.get('graph.yAxis.ticks'), this.get('graph.yScale'), this.get('graph.minorFretCount'), this.get('graph.yScaleType'));
+  }.property('graph.yAxis.ticks', 'graph.yScale', 'graph.minorFretCount', 'graph.yScaleType'),
+
   /**
     The name of the hoverChange action to fire
     @property hoverChange
@@ -113,7 +225,76 @@ export default Ember.Component.extend(HasGraphParent, {
   */
   hoverChange: null,
 
+  /**
+    The time of the last touch event on the content, used to ignore the mouse events
+    browsers emulate after a touch.
+    @property _lastTouchTime
+    @type Number
+    @default 0
+    @private
+  */
+  _lastTouchTime: 0,
+
+  /**
+    The time, in milliseconds, after a touch during which mouse events are ignored.
+    @property _touchMouseDelay
+    @type Number
+    @default 1000
+    @private
+  */
+  _touchMouseDelay: 1000,
+
+  /**
+    Returns `true` if a mouse event is likely to have been emulated by the browser after a touch.
+    @method _isEmulatedMouseEvent
+    @return {Boolean}
+    @private
+  */
+  _isEmulatedMouseEvent: function() {
+    return Date.now() - this.get('_lastTouchTime') < this.get('_touchMouseDelay');
+  },
+
   mouseMove: function(e) {
+    if(!this._isEmulatedMouseEvent()) {
+      this._hoverChange(e);
+    }
+  },
+
+  /**
+    Tracks a touch as a hover, so tapping or dragging a finger over the content tracks data.
+    A second touch ends the hover, as it starts a pinch.
+    @method touchStart
+    @param e {TouchEvent} the jQuery touch event
+  */
+  touchStart: function(e) {
+    this.set('_lastTouchTime', Date.now());
+    if(e.originalEvent.touches.length > 1) {
+      this._hoverEnd(e);
+    } else {
+      this._hoverChange(e);
+    }
+  },
+
+  /**
+    Tracks a dragged touch as a hover, unless it's pinching, panning the graph or brushing.
+    @method touchMove
+    @param e {TouchEvent} the jQuery touch event
+  */
+  touchMove: function(e) {
+    this.set('_lastTouchTime', Date.now());
+    var graph = this.get('graph');
+    if(e.originalEvent.touches.length === 1 && !graph.get('pannable') && !graph.get('isBrushing')) {
+      this._hoverChange(e);
+    }
+  },
+
+  /**
+    Fires the hover change events and actions for a mouse or touch event.
+    @method _hoverChange
+    @param e {MouseEvent|TouchEvent} the jQuery event
+    @private
+  */
+  _hoverChange: function(e) {
     var context = GraphMouseEvent.create({
       originalEvent: e,
       source: this,
@@ -125,6 +306,11 @@ export default Ember.Component.extend(HasGraphParent, {
     if(this.get('hoverChange')) {
       this.sendAction('hoverChange', context);
     }
+
+    var group = this.get('graph.group');
+    if(group) {
+      group.broadcastHoverChange(this.get('graph'), context);
+    }
   },
 
   /**
@@ -136,6 +322,34 @@ export default Ember.Component.extend(HasGraphParent, {
   hoverEnd: null,
 
   mouseLeave: function(e) {
+    if(!this._isEmulatedMouseEvent()) {
+      this._hoverEnd(e);
+    }
+  },
+
+  /**
+    Ends the hover when the last touch on the content is lifted.
+    @method touchEnd
+    @param e {TouchEvent} the jQuery touch event
+  */
+  touchEnd: function(e) {
+    this.set('_lastTouchTime', Date.now());
+    if(e.originalEvent.touches.length === 0) {
+      this._hoverEnd(e);
+    }
+  },
+
+  touchCancel: function(e) {
+    this.touchEnd(e);
+  },
+
+  /**
+    Fires the hover end events and actions for a mouse or touch event.
+    @method _hoverEnd
+    @param e {MouseEvent|TouchEvent} the jQuery event
+    @private
+  */
+  _hoverEnd: function(e) {
     var context = GraphMouseEvent.create({
       originalEvent: e,
       source: this,
@@ -146,6 +360,53 @@ export default Ember.Component.extend(HasGraphParent, {
     if(this.get('hoverEnd')) {
       this.sendAction('hoverEnd', context);
     }
+
+    var group = this.get('graph.group');
+    if(group) {
+      group.broadcastHoverEnd(this.get('graph'));
+    }
+  },
+
+  /**
+    Triggers `didClick` with the position of a click anywhere on the content, for graphics such as
+    `nf-scatter` that handle clicks near what they draw, rather than on it.
+    @method click
+    @param e {MouseEvent} the jQuery event
+  */
+  click: function(e) {
+    this.trigger('didClick', GraphMouseEvent.create({
+      originalEvent: e,
+      source: this,
+      graph: this.get('graph'),
+    }));
+  },
+
+  /**
+    Triggers `didHoverChange` as though the mouse were over the content at an x domain value.
+    Used by {{#crossLink "components.nf-graph-group"}}{{/crossLink}} to synchronize hovering from another graph.
+    The `hoverChange` action is not sent.
+    @method syncHoverChange
+    @param x {Number|Date} the x domain value
+  */
+  syncHoverChange: function(x) {
+    this.trigger('didHoverChange', GraphMouseEvent.create({
+      syncedX: x,
+      source: this,
+      graph: this.get('graph'),
+    }));
+  },
+
+  /**
+    Triggers `didHoverEnd` as though the mouse left the content.
+    Used by {{#crossLink "components.nf-graph-group"}}{{/crossLink}} to synchronize hovering from another graph.
+    The `hoverEnd` action is not sent.
+    @method syncHoverEnd
+  */
+  syncHoverEnd: function() {
+    this.trigger('didHoverEnd', GraphMouseEvent.create({
+      source: this,
+      graph: this.get('graph'),
+    }));
   },
 
   /**
@@ -156,6 +417,14 @@ export default Ember.Component.extend(HasGraphParent, {
   */
   frets: Ember.computed.alias('graph.xAxis.ticks'),
 
+  /**
+    An array containing models to render horizontal fret lines at the y axis ticks
+    @property yFrets
+    @type Array
+    @readonly
+  */
+  yFrets: Ember.computed.alias('graph.yAxis.ticks'),
+
   hasGraph: function(graph) {
     graph.set('content', this);
   },
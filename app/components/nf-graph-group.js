@@ -0,0 +1,222 @@
+import Ember from 'ember';
+
+/**
+  A container that synchronizes hovering, and optionally domains, across the `nf-graph` components
+  inside it, such as a stack of graphs sharing a time axis. Hovering the content of one graph triggers the
+  `didHoverChange` and `didHoverEnd` content events on the others at the same x domain value,
+  so `nf-crosshair`, `nf-tooltip` and graphics with a hover `trackingMode` react as if hovered locally.
+
+  Synchronized hover events have `isSynced` set to `true` and carry the x domain value in `syncedX`.
+  There is no mouse y position, so `nf-crosshair` only draws its vertical line. Synchronizing requires
+  an x scale that can be inverted, so it has no effect on graphs with an `'ordinal'` `xScaleType`.
+
+  ### Linked domains
+
+  The group is also a shared domain source. Set `domainLink` to `'one-way'` or `'two-way'` to have the
+  graphs follow the group's `xMin` and `xMax`, which can be bound to a controller. With `'two-way'`,
+  zooming, panning or brush zooming any graph updates the group's domain, and so every other graph.
+  Each graph can override the group's `domainLink` with its own. The y and y2 domains are linked too if
+  `linkY` is `true`, except on graphs with `independentY` set.
+
+        {{#nf-graph-group domainLink="two-way" xMin=start xMax=end}}
+          {{#nf-graph width=500 height=150 xScaleType="time" brushMode="zoom"}}
+            ...
+          {{/nf-graph}}
+          {{#nf-graph width=500 height=150 xScaleType="time" domainLink="one-way"}}
+            ...
+          {{/nf-graph}}
+        {{/nf-graph-group}}
+
+  ### Example
+
+        {{#nf-graph-group}}
+          {{#nf-graph width=500 height=150 xScaleType="time"}}
+            {{#nf-graph-content}}
+              {{nf-crosshair}}
+              {{nf-line data=requests xprop="time" yprop="count" trackingMode="hover"}}
+            {{/nf-graph-content}}
+          {{/nf-graph}}
+          {{#nf-graph width=500 height=150 xScaleType="time"}}
+            {{#nf-graph-content}}
+              {{nf-crosshair}}
+              {{nf-line data=errors xprop="time" yprop="count" trackingMode="hover"}}
+            {{/nf-graph-content}}
+          {{/nf-graph}}
+        {{/nf-graph-group}}
+
+  @namespace components
+  @class nf-graph-group
+  @extends Ember.Component
+*/
+export default Ember.Component.extend({
+  classNames: ['nf-graph-group'],
+
+  /**
+    Used by `nf-graph` to identify the group it belongs to
+    @property isGraphGroup
+    @type Boolean
+    @default true
+    @readonly
+  */
+  isGraphGroup: true,
+
+  /**
+    If `false`, hovering is not synchronized between the graphs.
+    @property syncHover
+    @type Boolean
+    @default true
+  */
+  syncHover: true,
+
+  /**
+    How the domains of the graphs are linked to the group's domain, unless a graph sets its own
+    {{#crossLink "components.nf-graph/domainLink:property"}}{{/crossLink}}. Possible values are
+    `'none'`, `'one-way'` and `'two-way'`.
+    @property domainLink
+    @type String
+    @default 'none'
+  */
+  domainLink: 'none',
+
+  /**
+    If `true`, the y and y2 domains of linked graphs are linked as well as their x domains.
+    @property linkY
+    @type Boolean
+    @default false
+  */
+  linkY: false,
+
+  /**
+    The shared minimum x domain value. Linked graphs follow their own min and max modes until
+    both `xMin` and `xMax` are set.
+    @property xMin
+    @type Number|Date
+    @default null
+  */
+  xMin: null,
+
+  /**
+    The shared maximum x domain value
+    @property xMax
+    @type Number|Date
+    @default null
+  */
+  xMax: null,
+
+  /**
+    The shared minimum y domain value, used when `linkY` is `true`
+    @property yMin
+    @type Number
+    @default null
+  */
+  yMin: null,
+
+  /**
+    The shared maximum y domain value, used when `linkY` is `true`
+    @property yMax
+    @type Number
+    @default null
+  */
+  yMax: null,
+
+  /**
+    The shared minimum secondary y domain value, used when `linkY` is `true`
+    @property y2Min
+    @type Number
+    @default null
+  */
+  y2Min: null,
+
+  /**
+    The shared maximum secondary y domain value, used when `linkY` is `true`
+    @property y2Max
+    @type Number
+    @default null
+  */
+  y2Max: null,
+
+  /**
+    Clears the shared domain, so linked graphs go back to their own min and max modes.
+    @method clearDomain
+  */
+  clearDomain: function() {
+    this.setProperties({ xMin: null, xMax: null, yMin: null, yMax: null, y2Min: null, y2Max: null });
+  },
+
+  /**
+    The graphs registered with this group
+    @property graphs
+    @type Array
+    @readonly
+  */
+  graphs: function() {
+    return [];
+  }.property(),
+
+  /**
+    Adds a graph to the group.
+    @method registerGraph
+    @param graph {components.nf-graph} the graph to add
+  */
+  registerGraph: function(graph) {
+    this.get('graphs').pushObject(graph);
+  },
+
+  /**
+    Removes a graph from the group.
+    @method unregisterGraph
+    @param graph {components.nf-graph} the graph to remove
+  */
+  unregisterGraph: function(graph) {
+    this.get('graphs').removeObject(graph);
+  },
+
+  /**
+    Synchronizes a hover over one graph's content to the other graphs in the group.
+    @method broadcastHoverChange
+    @param source {components.nf-graph} the hovered graph
+    @param e {utils.nf.graph-mouse-event} the hover event from the graph's content
+  */
+  broadcastHoverChange: function(source, e) {
+    var xScale = source.get('xScale');
+    if(!this.get('syncHover') || !xScale || !xScale.invert) {
+      return;
+    }
+
+    var x = xScale.invert(e.get('mouseX'));
+    this._eachOtherContent(source, function(content) {
+      content.syncHoverChange(x);
+    });
+  },
+
+  /**
+    Synchronizes the end of a hover over one graph's content to the other graphs in the group.
+    @method broadcastHoverEnd
+    @param source {components.nf-graph} the graph that was hovered
+  */
+  broadcastHoverEnd: function(source) {
+    if(!this.get('syncHover')) {
+      return;
+    }
+
+    this._eachOtherContent(source, function(content) {
+      content.syncHoverEnd();
+    });
+  },
+
+  /**
+    Calls a function with the content of each graph in the group other than `source`.
+    @method _eachOtherContent
+    @param source {components.nf-graph} the graph to skip
+    @param fn {Function} the function to call with each `nf-graph-content`
+    @private
+  */
+  _eachOtherContent: function(source, fn) {
+    this.get('graphs').forEach(function(graph) {
+      var content = graph.get('content');
+      if(graph !== source && content && !graph.get('isDestroying')) {
+        fn(content);
+      }
+    });
+  }
+});
@@ -1,19 +1,89 @@
 import Ember from 'ember';
 import GraphPosition from 'ember-cli-nf-graph/utils/nf/graph-position';
-import { getMousePoint } from 'ember-cli-nf-graph/utils/nf/svg-dom';
-import { toArray } from 'ember-cli-nf-graph/utils/nf/array-helpers';
+import GraphMouseEvent from 'ember-cli-nf-graph/utils/nf/graph-mouse-event';
+import { getMousePoint, getClientPoint } from 'ember-cli-nf-graph/utils/nf/svg-dom';
+import { toArray, sliceArrayLike } from 'ember-cli-nf-graph/utils/nf/array-helpers';
+import { isTimeScaleType, toDate, symlogScale } from 'ember-cli-nf-graph/utils/nf/scale-utils';
+import { paintRect } from 'ember-cli-nf-graph/utils/nf/canvas-utils';
 
 var Observable = Rx.Observable;
 
 var computedBool = Ember.computed.bool;
 
+/**
+  The key codes used for keyboard navigation.
+  @property KEYS
+  @type Object
+  @private
+*/
+var KEYS = {
+  TAB: 9,
+  END: 35,
+  HOME: 36,
+  LEFT: 37,
+  RIGHT: 39
+};
+
+/**
+  The default `announceFormat` of the graph. (e.g. `'requests: x 12:00, y 34'`)
+  @method defaultAnnounceFormat
+  @param point {Object} the tracked point
+  @return {String} the announcement
+  @private
+*/
+var defaultAnnounceFormat = function(point) {
+  var text = 'x %@, y %@'.fmt(point.x, point.y);
+  return point.name ? '%@: %@'.fmt(point.name, text) : text;
+};
+
+/**
+  The default `announceSelectionFormat` of the graph. (e.g. `'Graphic 2 of 3 selected'`)
+  @method defaultAnnounceSelectionFormat
+  @param selection {Object} the selected graphic
+  @return {String} the announcement
+  @private
+*/
+var defaultAnnounceSelectionFormat = function(selection) {
+  return '%@ selected'.fmt(selection.name || 'Graphic %@ of %@'.fmt(selection.index + 1, selection.count));
+};
+
+/**
+  Sums the sizes of the registered axes, optionally only those on one side of the graph.
+  @method sumAxisSizes
+  @param axes {Array} the registered axes
+  @param sizeKey {String} the name of the size property, such as `'outerWidth'`
+  @param filter {Function} optional, a function to test the `orient` of each axis with
+  @return {Number} the total size in pixels
+  @private
+*/
+var sumAxisSizes = function(axes, sizeKey, filter) {
+  return (axes || []).reduce(function(total, axis) {
+    if(filter && !filter(axis.get('orient'))) {
+      return total;
+    }
+    return total + (axis.get(sizeKey) || 0);
+  }, 0);
+};
+
+var isLeft = function(orient) {
+  return orient !== 'right';
+};
+
+var isTop = function(orient) {
+  return orient === 'top';
+};
+
 var scaleFactoryProperty = function(axis) {
   var scaleTypeKey = axis + 'ScaleType';
   var powExponentKey = axis + 'PowerExponent';
+  var logBaseKey = axis + 'LogBase';
+  var symlogConstantKey = axis + 'SymlogConstant';
 
   return function(){
     var type = this.get(scaleTypeKey);
     var powExp = this.get(powExponentKey);
+    var logBase = this.get(logBaseKey);
+    var symlogConstant = this.get(symlogConstantKey);
 
     type = typeof type === 'string' ? type.toLowerCase() : '';
     
@@ -32,14 +102,34 @@ var scaleFactoryProperty = function(axis) {
     }
     
     else if(type === 'log') {
-      return d3.scale.log;
+      return function(){
+        return d3.scale.log().base(logBase || 10);
+      };
+    }
+
+    else if(type === 'symlog') {
+      return function(){
+        return symlogScale(symlogConstant);
+      };
+    }
+
+    else if(type === 'sqrt') {
+      return d3.scale.sqrt;
+    }
+
+    else if(type === 'time') {
+      return d3.time.scale;
+    }
+
+    else if(type === 'utc') {
+      return d3.time.scale.utc;
     }
     
     else {
       Ember.warn('unknown scale type: ' + type);
       return d3.scale.linear;
     }
-  }.property(scaleTypeKey, powExponentKey);
+  }.property(scaleTypeKey, powExponentKey, logBaseKey, symlogConstantKey);
 };
 
 var domainProperty = function(axis) {
@@ -71,6 +161,10 @@ var domainProperty = function(axis) {
         }
       }
 
+      if(isTimeScaleType(scaleType)) {
+        extent = extent.map(toDate);
+      }
+
       domain = extent;
     }
 
@@ -106,6 +200,19 @@ var scaleProperty = function(axis) {
   }.property(scaleFactoryKey, rangeKey, scaleTypeKey, ordinalPaddingKey, domainKey, ordinalOuterPaddingKey);
 };
 
+var yDataProperty = function(yAxisId) {
+  return function(){
+    var graphics = this.get('graphics');
+    var all = [];
+    graphics.forEach(function(graphic) {
+      if((graphic.get('yAxisId') || 'y') === yAxisId) {
+        all = all.concat(graphic.get('stackedYData') || graphic.get('yData'));
+      }
+    });
+    return all;
+  }.property('graphics.@each.yData', 'graphics.@each.stackedYData', 'graphics.@each.yAxisId');
+};
+
 var minProperty = function(axis, defaultTickCount){
   var _DataExtent_ = axis + 'DataExtent';
   var _MinMode_ = axis + 'MinMode';
@@ -113,6 +220,7 @@ var minProperty = function(axis, defaultTickCount){
   var _ScaleFactory_ = axis + 'ScaleFactory';
   var __Min_ = '_' + axis + 'Min';
   var _prop_ = axis + 'Min';
+  var _isLinked_ = 'is' + axis.toUpperCase() + 'DomainLinked';
 
   return function(key, value) {
     var mode = this.get(_MinMode_);
@@ -120,7 +228,7 @@ var minProperty = function(axis, defaultTickCount){
 
     if(arguments.length > 1) {
       this[__Min_] = value;
-    } else {
+    } else if(!this.get(_isLinked_)) {
       var change = function(val) {
         this.set(_prop_, val);
       }.bind(this);
@@ -149,7 +257,7 @@ var minProperty = function(axis, defaultTickCount){
     }
 
     return this[__Min_];
-  }.property(_MinMode_, _DataExtent_, _Axis_tickCount_, _ScaleFactory_);
+  }.property(_MinMode_, _DataExtent_, _Axis_tickCount_, _ScaleFactory_, _isLinked_);
 };
 
 var maxProperty = function(axis, defaultTickCount) {
@@ -159,6 +267,7 @@ var maxProperty = function(axis, defaultTickCount) {
   var _MaxMode_ = axis + 'MaxMode';
   var __Max_ = '_' + axis + 'Max';
   var _prop_ = axis + 'Max';
+  var _isLinked_ = 'is' + axis.toUpperCase() + 'DomainLinked';
 
   return function(key, value) {
     var mode = this.get(_MaxMode_);
@@ -166,7 +275,7 @@ var maxProperty = function(axis, defaultTickCount) {
 
     if(arguments.length > 1) {
       this[__Max_] = value;
-    } else {
+    } else if(!this.get(_isLinked_)) {
       var change = function(val) {
         this.set(_prop_, val);
       }.bind(this);
@@ -195,7 +304,70 @@ var maxProperty = function(axis, defaultTickCount) {
     }
 
     return this[__Max_];
-  }.property(_MaxMode_, _DataExtent_, _ScaleFactory_, _Axis_tickCount_);
+  }.property(_MaxMode_, _DataExtent_, _ScaleFactory_, _Axis_tickCount_, _isLinked_);
+};
+
+/**
+  Gets the normalized zoom step for a DOM wheel event.
+  @method wheelDelta
+  @param e {WheelEvent} the DOM wheel event
+  @return {Number} the power of 2 to zoom by
+  @private
+*/
+var wheelDelta = function(e) {
+  return -e.deltaY * (e.deltaMode ? 120 : 1) / 500;
+};
+
+/**
+  Gets the points of a touch list relative to a container.
+  @method getTouchPoints
+  @param container {SVGElement} the container to get the points relative to
+  @param touches {TouchList} the touches from a DOM touch event
+  @return {Array} an array of `{ x, y }` points
+  @private
+*/
+var getTouchPoints = function(container, touches) {
+  return sliceArrayLike(touches).map(function(touch) {
+    return getMousePoint(container, { clientX: touch.clientX, clientY: touch.clientY });
+  });
+};
+
+/**
+  Returns `true` if a touch event has exactly one touch on the surface.
+  @method isSingleTouch
+  @param e {TouchEvent} a jQuery touch event
+  @return {Boolean}
+  @private
+*/
+var isSingleTouch = function(e) {
+  return e.originalEvent.touches.length === 1;
+};
+
+/**
+  Gets the point halfway between the first two points in an array.
+  @method midpoint
+  @param points {Array} an array of `{ x, y }` points
+  @return {Object} the `{ x, y }` midpoint
+  @private
+*/
+var midpoint = function(points) {
+  return {
+    x: (points[0].x + points[1].x) / 2,
+    y: (points[0].y + points[1].y) / 2
+  };
+};
+
+/**
+  Gets the distance between the first two points in an array.
+  @method distance
+  @param points {Array} an array of `{ x, y }` points
+  @return {Number} the distance in pixels
+  @private
+*/
+var distance = function(points) {
+  var dx = points[1].x - points[0].x;
+  var dy = points[1].y - points[0].y;
+  return Math.sqrt(dx * dx + dy * dy);
 };
 
 /**
@@ -232,6 +404,11 @@ var maxProperty = function(axis, defaultTickCount) {
   The above example will create a 500x300 graph with both axes visible. The graph will not 
   render either axis unless its component is present.
 
+  The graph can be focused and navigated with the keyboard. The arrow keys step the tracked data of
+  the selected graphic, and Tab cycles through the selectable graphics. Each step is announced to screen
+  readers through a live region. See {{#crossLink "components.nf-graph/keyDown:method"}}{{/crossLink}}.
+  Set `ariaLabel` to give the graph an accessible name.
+
 
   @namespace components
   @class nf-graph
@@ -240,6 +417,35 @@ var maxProperty = function(axis, defaultTickCount) {
 export default Ember.Component.extend({
   tagName: 'div',  
 
+  classNameBindings: ['hasCanvas:nf-graph-has-canvas'],
+
+  attributeBindings: ['tabindex', 'ariaLabel:aria-label'],
+
+  /**
+    The tab index of the graph, so it can be focused for keyboard navigation.
+    @property tabindex
+    @type Number
+    @default 0
+  */
+  tabindex: 0,
+
+  /**
+    The ARIA role of the graph. `'application'` has screen readers send the arrow keys to the graph,
+    which announces the data it moves to through an `aria-live` region.
+    @property ariaRole
+    @type String
+    @default 'application'
+  */
+  ariaRole: 'application',
+
+  /**
+    The accessible name of the graph, read by screen readers when it's focused.
+    @property ariaLabel
+    @type String
+    @default null
+  */
+  ariaLabel: null,
+
   /**
     The exponent to use for xScaleType "pow" or "power".
     @property xPowerExponent
@@ -256,6 +462,14 @@ export default Ember.Component.extend({
   */
   yPowerExponent: 3,
 
+  /**
+    The exponent to use for y2ScaleType "pow" or "power".
+    @property y2PowerExponent
+    @type Number
+    @default 3
+  */
+  y2PowerExponent: 3,
+
   /**
     The min value to use for xScaleType "log" if xMin <= 0
     @property xLogMin
@@ -272,6 +486,80 @@ export default Ember.Component.extend({
   */
   yLogMin: 0.1,
 
+  /**
+    The min value to use for y2ScaleType "log" if y2Min <= 0
+    @property y2LogMin
+    @type Number
+    @default 0.1
+  */
+  y2LogMin: 0.1,
+
+  /**
+    The base to use for xScaleType "log"
+    @property xLogBase
+    @type Number
+    @default 10
+  */
+  xLogBase: 10,
+
+  /**
+    The base to use for yScaleType "log"
+    @property yLogBase
+    @type Number
+    @default 10
+  */
+  yLogBase: 10,
+
+  /**
+    The base to use for y2ScaleType "log"
+    @property y2LogBase
+    @type Number
+    @default 10
+  */
+  y2LogBase: 10,
+
+  /**
+    The linear threshold to use for xScaleType "symlog". x values between `-xSymlogConstant`
+    and `xSymlogConstant` are scaled almost linearly.
+    @property xSymlogConstant
+    @type Number
+    @default 1
+  */
+  xSymlogConstant: 1,
+
+  /**
+    The linear threshold to use for yScaleType "symlog". y values between `-ySymlogConstant`
+    and `ySymlogConstant` are scaled almost linearly.
+    @property ySymlogConstant
+    @type Number
+    @default 1
+  */
+  ySymlogConstant: 1,
+
+  /**
+    The linear threshold to use for y2ScaleType "symlog"
+    @property y2SymlogConstant
+    @type Number
+    @default 1
+  */
+  y2SymlogConstant: 1,
+
+  /**
+    If `true`, x values increase from right to left.
+    @property xReverse
+    @type Boolean
+    @default false
+  */
+  xReverse: false,
+
+  /**
+    If `true`, y values increase from top to bottom. Also reverses the secondary y scale.
+    @property yReverse
+    @type Boolean
+    @default false
+  */
+  yReverse: false,
+
   /** 
     Allows child compoenents to identify graph parent.
     @property isGraph
@@ -367,14 +655,62 @@ export default Ember.Component.extend({
   */
   showFrets: false,
 
+  /**
+    Determines whether to display vertical "lanes", between the x axis ticks, in
+    the background of the graph.
+    @property showXLanes
+    @type Boolean
+    @default false
+  */
+  showXLanes: false,
+
+  /**
+    Determines whether to display horizontal "frets", at the y axis ticks, in
+    the background of the graph.
+    @property showYFrets
+    @type Boolean
+    @default false
+  */
+  showYFrets: false,
+
+  /**
+    Determines whether to display minor vertical gridlines between the x axis ticks.
+    @property showMinorXFrets
+    @type Boolean
+    @default false
+  */
+  showMinorXFrets: false,
+
+  /**
+    Determines whether to display minor horizontal gridlines between the y axis ticks.
+    @property showMinorYFrets
+    @type Boolean
+    @default false
+  */
+  showMinorYFrets: false,
+
+  /**
+    The number of minor gridlines between each pair of major ticks. On scales other than linear
+    ones, this is approximate, as the scale's own ticks are used. Log scales always place minor
+    gridlines at 2 and 5 times each power of the base.
+    @property minorFretCount
+    @type Number
+    @default 1
+  */
+  minorFretCount: 1,
+
   /**
     The type of scale to use for x values.
     
     Possible Values:
     - `'linear'` - a standard linear scale
     - `'log'` - a logarithmic scale
+    - `'symlog'` - a symmetric logarithmic scale, linear near zero, for data that includes zero or negative values
     - `'power'` - a power-based scale (exponent = 3)
+    - `'sqrt'` - a square root scale, which keeps the sign of negative values
     - `'ordinal'` - an ordinal scale, used for ordinal data. required for bar graphs.
+    - `'time'` - a time scale in local time. Domain values may be `Date`s or epoch milliseconds.
+    - `'utc'` - a time scale in UTC. Domain values may be `Date`s or epoch milliseconds.
     
     @property xScaleType
     @type String
@@ -388,14 +724,28 @@ export default Ember.Component.extend({
     Possible Values:
     - `'linear'` - a standard linear scale
     - `'log'` - a logarithmic scale
+    - `'symlog'` - a symmetric logarithmic scale, linear near zero, for data that includes zero or negative values
     - `'power'` - a power-based scale (exponent = 3)
+    - `'sqrt'` - a square root scale, which keeps the sign of negative values
     - `'ordinal'` - an ordinal scale, used for ordinal data. required for bar graphs.
+    - `'time'` - a time scale in local time. Domain values may be `Date`s or epoch milliseconds.
+    - `'utc'` - a time scale in UTC. Domain values may be `Date`s or epoch milliseconds.
     
     @property yScaleType
     @type String
     @default 'linear'
   */
   yScaleType: 'linear',
+
+  /**
+    The type of scale to use for the secondary y scale, used by graphics with a `yAxisId` of `'y2'`.
+    Accepts the same values as `yScaleType`.
+    
+    @property y2ScaleType
+    @type String
+    @default 'linear'
+  */
+  y2ScaleType: 'linear',
   
   /**
     The padding between value steps when `xScaleType` is `'ordinal'`
@@ -430,7 +780,24 @@ export default Ember.Component.extend({
   yOrdinalOuterPadding: 0.1,
 
   /**
-    the `nf-y-axis` component is registered here if there is one present
+    The padding between value steps when `y2ScaleType` is `'ordinal'`
+    @property y2OrdinalPadding
+    @type Number
+    @default 0.1
+  */
+  y2OrdinalPadding: 0.1,
+
+  /**
+    The padding at the ends of the domain data when `y2ScaleType` is `'ordinal'`
+    @property y2OrdinalOuterPadding
+    @type Number
+    @default 0.1
+  */
+  y2OrdinalOuterPadding: 0.1,
+
+  /**
+    The first `nf-y-axis` component registered, if there is one present. Its ticks are
+    used for the graph's frets.
     @property yAxis
     @readonly
     @default null
@@ -438,13 +805,40 @@ export default Ember.Component.extend({
   yAxis: null,
 
   /**
-    The `nf-x-axis` component is registered here if there is one present
+    The first `nf-x-axis` component registered, if there is one present. Its ticks are
+    used for the graph's grid lanes.
     @property xAxis
     @readonly
     @default null
   */
   xAxis: null,
 
+  /**
+    The first `nf-y-axis` component with a `yAxisId` of `'y2'` registered, if there is one present
+    @property y2Axis
+    @readonly
+    @default null
+  */
+  y2Axis: null,
+
+  /**
+    Registry of all contained `nf-x-axis` components. Space for each of them is reserved
+    in the graph layout.
+    @property xAxes
+    @type Array
+    @readonly
+  */
+  xAxes: null,
+
+  /**
+    Registry of all contained `nf-y-axis` components, of either `yAxisId`. Space for each of
+    them is reserved in the graph layout.
+    @property yAxes
+    @type Array
+    @readonly
+  */
+  yAxes: null,
+
   /**
     Backing field for `xMin`
     @property _xMin
@@ -473,6 +867,20 @@ export default Ember.Component.extend({
   */
   _yMax: null,
 
+  /**
+    Backing field for `y2Min`
+    @property _y2Min
+    @private
+  */
+  _y2Min: null,
+
+  /**
+    Backing field for `y2Max`
+    @property _y2Max
+    @private
+  */
+  _y2Max: null,
+
   /**
     Gets or sets the minimum x domain value to display on the graph.
     Behavior depends on `xMinMode`.
@@ -500,6 +908,20 @@ export default Ember.Component.extend({
     @property yMax
   */
   yMax: maxProperty('y', 5),
+
+  /**
+    Gets or sets the minimum secondary y domain value to display on the graph.
+    Behavior depends on `y2MinMode`.
+    @property y2Min
+  */
+  y2Min: minProperty('y2', 5),
+
+  /**
+    Gets or sets the maximum secondary y domain value to display on the graph.
+    Behavior depends on `y2MaxMode`.
+    @property y2Max
+  */
+  y2Max: maxProperty('y2', 5),
   
 
   /**
@@ -574,6 +996,22 @@ export default Ember.Component.extend({
   */
   yMaxMode: 'auto',
 
+  /**
+    Sets the behavior of `y2Min` for the graph. Possible values are the same as `yMinMode`.
+    @property y2MinMode
+    @type String
+    @default 'auto'
+  */
+  y2MinMode: 'auto',
+
+  /**
+    Sets the behavior of `y2Max` for the graph. Possible values are the same as `yMaxMode`.
+    @property y2MaxMode
+    @type String
+    @default 'auto'
+  */
+  y2MaxMode: 'auto',
+
   /**
     Gets the highest and lowest x values of the graphed data in a two element array.
     @property xDataExtent
@@ -597,7 +1035,19 @@ export default Ember.Component.extend({
   }.property('yData'),
 
   /**
-    Gets all x data from all graphics.
+    Gets the highest and lowest y values of the data graphed on the secondary y scale in a two element array.
+    @property y2DataExtent
+    @type Array
+    @readonly
+  */
+  y2DataExtent: function(){
+    var y2Data = this.get('y2Data');
+    return y2Data ? d3.extent(y2Data) : [null, null];
+  }.property('y2Data'),
+
+  /**
+    Gets all x data from all graphics. Graphics stacked along x, such as stacked horizontal
+    bars, contribute their stacked rights and baselines.
     @property xData
     @type Array
     @readonly
@@ -606,25 +1056,28 @@ export default Ember.Component.extend({
     var graphics = this.get('graphics');
     var all = [];
     graphics.forEach(function(graphic) {
-      all = all.concat(graphic.get('xData'));
+      all = all.concat(graphic.get('stackedXData') || graphic.get('xData'));
     });
     return all;
-  }.property('graphics.@each.xData'),
+  }.property('graphics.@each.xData', 'graphics.@each.stackedXData'),
 
   /**
-    Gets all y data from all graphics
+    Gets all y data from all graphics plotted on the primary y scale. Stacked graphics
+    contribute their stacked tops and baselines.
     @property yData
     @type Array
     @readonly
   */
-  yData: function(){
-    var graphics = this.get('graphics');
-    var all = [];
-    graphics.forEach(function(graphic) {
-      all = all.concat(graphic.get('yData'));
-    });
-    return all;
-  }.property('graphics.@each.yData'),
+  yData: yDataProperty('y'),
+
+  /**
+    Gets all y data from all graphics plotted on the secondary y scale
+    (graphics with a `yAxisId` of `'y2'`)
+    @property y2Data
+    @type Array
+    @readonly
+  */
+  y2Data: yDataProperty('y2'),
 
   /**
     Gets the DOM id for the content clipPath element.
@@ -684,6 +1137,13 @@ export default Ember.Component.extend({
    */
   yScaleFactory: scaleFactoryProperty('y'),
 
+  /**
+    Gets a function to create the y2Scale
+    @property y2ScaleFactory
+    @readonly
+   */
+  y2ScaleFactory: scaleFactoryProperty('y2'),
+
   /**
     Gets the domain of x values.
     @property xDomain
@@ -700,6 +1160,14 @@ export default Ember.Component.extend({
    */
   yDomain: domainProperty('y'),
 
+  /**
+    Gets the domain of secondary y values.
+    @property y2Domain
+    @type Array
+    @readonly
+   */
+  y2Domain: domainProperty('y2'),
+
   /**
     Gets the current xScale used to draw the graph.
     @property xScale
@@ -716,6 +1184,14 @@ export default Ember.Component.extend({
    */
   yScale: scaleProperty('y'),
 
+  /**
+    Gets the current secondary y scale, used by graphics with a `yAxisId` of `'y2'`.
+    @property y2Scale
+    @type Function
+    @readonly
+   */
+  y2Scale: scaleProperty('y2'),
+
   /**
     Registers a graphic such as `nf-line` or `nf-area` components with the graph.
     @method registerGraphic
@@ -735,6 +1211,63 @@ export default Ember.Component.extend({
     var graphics = this.get('graphics');
     graphics.removeObject(graphic);
   },
+
+  /**
+    Registers an `nf-x-axis` with the graph. The first x axis registered becomes `xAxis`.
+    @method registerXAxis
+    @param axis {components.nf-x-axis} the axis to register
+  */
+  registerXAxis: function(axis) {
+    this.get('xAxes').pushObject(axis);
+    if(!this.get('xAxis')) {
+      this.set('xAxis', axis);
+    }
+  },
+
+  /**
+    Unregisters an `nf-x-axis` from the graph.
+    @method unregisterXAxis
+    @param axis {components.nf-x-axis} the axis to unregister
+  */
+  unregisterXAxis: function(axis) {
+    var xAxes = this.get('xAxes');
+    xAxes.removeObject(axis);
+    if(this.get('xAxis') === axis) {
+      this.set('xAxis', xAxes.get('firstObject') || null);
+    }
+  },
+
+  /**
+    Registers an `nf-y-axis` with the graph. The first y axis registered for each `yAxisId`
+    becomes `yAxis` or `y2Axis`.
+    @method registerYAxis
+    @param axis {components.nf-y-axis} the axis to register
+  */
+  registerYAxis: function(axis) {
+    var key = axis.get('yAxisId') === 'y2' ? 'y2Axis' : 'yAxis';
+    this.get('yAxes').pushObject(axis);
+    if(!this.get(key)) {
+      this.set(key, axis);
+    }
+  },
+
+  /**
+    Unregisters an `nf-y-axis` from the graph.
+    @method unregisterYAxis
+    @param axis {components.nf-y-axis} the axis to unregister
+  */
+  unregisterYAxis: function(axis) {
+    var yAxes = this.get('yAxes');
+    yAxes.removeObject(axis);
+    ['yAxis', 'y2Axis'].forEach(function(key) {
+      if(this.get(key) === axis) {
+        var id = key === 'y2Axis' ? 'y2' : 'y';
+        this.set(key, yAxes.find(function(other) {
+          return (other.get('yAxisId') === 'y2' ? 'y2' : 'y') === id;
+        }) || null);
+      }
+    }, this);
+  },
   
   /**
     The y range of the graph in pixels. The min and max pixel values
@@ -744,19 +1277,30 @@ export default Ember.Component.extend({
     @readonly
    */
   yRange: function(){ 
-    return [this.get('graphHeight'), 0];
-  }.property('graphHeight'),
+    var graphHeight = this.get('graphHeight');
+    return this.get('yReverse') ? [0, graphHeight] : [graphHeight, 0];
+  }.property('graphHeight', 'yReverse'),
 
   /**
-    The x range of the graph in pixels. The min and max pixel values
+    The secondary y range of the graph in pixels. The same as `yRange`, so the secondary
+    y scale is reversed along with `yReverse`.
+    @property y2Range
+    @type Array
+    @readonly
+   */
+  y2Range: Ember.computed.alias('yRange'),
+
+  /**
+    The x range of the graph in pixels. The min and max pixel values
     in an array form.
     @property xRange
     @type Array
     @readonly
    */
   xRange: function(){
-    return [0, this.get('graphWidth')];
-  }.property('graphWidth'),
+    var graphWidth = this.get('graphWidth');
+    return this.get('xReverse') ? [graphWidth, 0] : [0, graphWidth];
+  }.property('graphWidth', 'xReverse'),
 
   /**
     Returns `true` if the graph has data to render. Data is conveyed
@@ -776,13 +1320,8 @@ export default Ember.Component.extend({
    */
   graphX: function() {
     var paddingLeft = this.get('paddingLeft');
-    var yAxisWidth = this.get('yAxis.width') || 0;
-    var yAxisOrient = this.get('yAxis.orient');
-    if(yAxisOrient === 'right') {
-      return paddingLeft;
-    }
-    return paddingLeft + yAxisWidth;
-  }.property('paddingLeft', 'yAxis.width', 'yAxis.orient'),
+    return paddingLeft + sumAxisSizes(this.get('yAxes'), 'outerWidth', isLeft);
+  }.property('paddingLeft', 'yAxes.@each.outerWidth', 'yAxes.@each.orient'),
 
   /** 
     The y coordinate position of the graph content
@@ -792,13 +1331,8 @@ export default Ember.Component.extend({
    */
   graphY: function(){
     var paddingTop = this.get('paddingTop');
-    var xAxisOrient = this.get('xAxis.orient');
-    if(xAxisOrient === 'top') {
-      var xAxisHeight = this.get('xAxis.height') || 0;
-      return xAxisHeight + paddingTop;
-    }
-    return paddingTop;
-  }.property('paddingTop', 'xAxis.orient', 'xAxis.height'), 
+    return paddingTop + sumAxisSizes(this.get('xAxes'), 'outerHeight', isTop);
+  }.property('paddingTop', 'xAxes.@each.orient', 'xAxes.@each.outerHeight'), 
 
   /**
     The width, in pixels, of the graph content
@@ -809,10 +1343,10 @@ export default Ember.Component.extend({
   graphWidth: function() {
     var paddingRight = this.get('paddingRight') || 0;
     var paddingLeft = this.get('paddingLeft') || 0;
-    var yAxisWidth = this.get('yAxis.width') || 0;
+    var yAxesWidth = sumAxisSizes(this.get('yAxes'), 'outerWidth');
     var width = this.get('width') || 0;
-    return Math.max(0, width - paddingRight - paddingLeft - yAxisWidth);
-  }.property('width', 'paddingRight', 'paddingLeft', 'yAxis.width'),
+    return Math.max(0, width - paddingRight - paddingLeft - yAxesWidth);
+  }.property('width', 'paddingRight', 'paddingLeft', 'yAxes.@each.outerWidth'),
 
   /**
     The height, in pixels, of the graph content
@@ -823,10 +1357,10 @@ export default Ember.Component.extend({
   graphHeight: function(){
     var paddingTop = this.get('paddingTop') || 0;
     var paddingBottom = this.get('paddingBottom') || 0;
-    var xAxisHeight = this.get('xAxis.height') || 0;
+    var xAxesHeight = sumAxisSizes(this.get('xAxes'), 'outerHeight');
     var height = this.get('height') || 0;
-    return Math.max(0, height - paddingTop - paddingBottom - xAxisHeight);
-  }.property('height', 'paddingTop', 'paddingBottom', 'xAxis.height'),
+    return Math.max(0, height - paddingTop - paddingBottom - xAxesHeight);
+  }.property('height', 'paddingTop', 'paddingBottom', 'xAxes.@each.outerHeight'),
 
   /**
     An SVG transform to position the graph content
@@ -838,6 +1372,75 @@ export default Ember.Component.extend({
     return 'translate(%@, %@)'.fmt(this.get('graphX'), this.get('graphY'));
   }.property('graphX', 'graphY'),
 
+  /**
+    Returns `true` if any registered graphic has a `renderer` of `'canvas'`. If so, a canvas
+    is layered under the graph's SVG for those graphics, the backgrounds and the grid lanes to draw on.
+    @property hasCanvas
+    @type Boolean
+    @readonly
+  */
+  hasCanvas: function(){
+    return this.get('graphics').isAny('renderer', 'canvas');
+  }.property('graphics.@each.renderer'),
+
+  /**
+    Schedules a redraw of the canvas after render.
+    @method scheduleCanvasDraw
+  */
+  scheduleCanvasDraw: function(){
+    Ember.run.scheduleOnce('afterRender', this, this._drawCanvas);
+  }.observes('hasCanvas', 'width', 'height', 'graphX', 'graphY', 'graphWidth', 'graphHeight',
+    'showLanes', 'showXLanes', 'content.gridLanes', 'content.xLanes'),
+
+  /**
+    Draws every graphic with a `renderer` of `'canvas'` on the canvas, in registration order, 
+    clipped to the graph content. The SVG backgrounds and grid lanes are hidden while there's a canvas, 
+    and drawn on it first instead, so they stay under the canvas graphics.
+    @method _drawCanvas
+    @private
+  */
+  _drawCanvas: function(){
+    var canvas = this.get('element') && this.$('> .nf-graph-canvas')[0];
+    if(!canvas) {
+      return;
+    }
+
+    var ratio = window.devicePixelRatio || 1;
+    var width = this.get('width') || 0;
+    var height = this.get('height') || 0;
+
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+
+    var context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    this.$('> .nf-graph > .background').each(function() {
+      paintRect(context, this);
+    });
+
+    context.save();
+    context.translate(this.get('graphX'), this.get('graphY'));
+    context.beginPath();
+    context.rect(0, 0, this.get('graphWidth'), this.get('graphHeight'));
+    context.clip();
+
+    this.$('.nf-graph-content > .background, .nf-grid-lanes rect, .nf-grid-x-lanes rect').each(function() {
+      paintRect(context, this);
+    });
+
+    this.get('graphics').forEach(function(graphic) {
+      if(graphic.get('renderer') === 'canvas' && graphic.drawCanvas) {
+        graphic.drawCanvas(context);
+      }
+    });
+
+    context.restore();
+  },
+
   /**
     Sets `hasRendered` to `true` on `willInsertElement`.
     @method _notifyHasRendered
@@ -913,6 +1516,230 @@ export default Ember.Component.extend({
     }
   },
 
+  /**
+    The text of the live region read by screen readers, describing the data point or graphic
+    reached with the keyboard.
+    @property announcement
+    @type String
+    @default ''
+    @readonly
+  */
+  announcement: '',
+
+  /**
+    Gets the text announced when a data point is tracked with the keyboard. Set it to a function to
+    reword or localize the announcement. The function is called with an object with:
+
+    - `x` and `y` - the tracked values, formatted by the `formatValue` method of the graphic's axes
+    - `data` - the tracked data item
+    - `name` - the graphic's `name`
+    - `source` - the graphic
+
+    @property announceFormat
+    @type Function
+  */
+  announceFormat: defaultAnnounceFormat,
+
+  /**
+    Gets the text announced when a graphic is selected with the keyboard. Set it to a function to
+    reword or localize the announcement. The function is called with an object with:
+
+    - `name` - the graphic's `name`
+    - `index` - the position of the graphic in `selectableGraphics`
+    - `count` - the number of `selectableGraphics`
+    - `source` - the graphic
+
+    @property announceSelectionFormat
+    @type Function
+  */
+  announceSelectionFormat: defaultAnnounceSelectionFormat,
+
+  /**
+    The selectable graphics, in the order they are cycled through with the Tab key.
+    @property selectableGraphics
+    @type Array
+    @readonly
+  */
+  selectableGraphics: function(){
+    return this.get('graphics').filterBy('selectable');
+  }.property('graphics.@each.selectable'),
+
+  /**
+    The graphic whose tracked data is stepped with the arrow keys: the selected graphic,
+    or the first graphic with data if none is selected.
+    @property keyboardGraphic
+    @type Ember.Component
+    @readonly
+  */
+  keyboardGraphic: function(){
+    var selected = this.get('selected');
+    if(this.selectMultiple) {
+      selected = selected ? selected.get('lastObject') : null;
+    }
+    if(selected && selected.getDataNearX) {
+      return selected;
+    }
+    return this.get('graphics').find(function(graphic) {
+      return graphic.getDataNearX;
+    });
+  }.property('selected', 'selected.[]', 'graphics.[]'),
+
+  /**
+    Handles keyboard navigation while the graph is focused:
+
+    - Left and Right arrows step the tracked data of the `keyboardGraphic` to the previous or next data point
+    - Home and End track the first and last visible data points
+    - Tab and Shift+Tab select the next or previous of the `selectableGraphics`. Tabbing past
+      the last one moves the focus out of the graph.
+
+    @method keyDown
+    @param e {KeyboardEvent} the jQuery keyboard event
+  */
+  keyDown: function(e) {
+    var graphic = this.get('keyboardGraphic');
+
+    switch(e.which) {
+      case KEYS.LEFT:
+      case KEYS.RIGHT:
+        if(graphic) {
+          e.preventDefault();
+          this.stepTrackedData(graphic, e.which === KEYS.LEFT ? -1 : 1, e);
+        }
+        break;
+      case KEYS.HOME:
+      case KEYS.END:
+        if(graphic) {
+          e.preventDefault();
+          this.trackDataAt(graphic, e.which === KEYS.HOME ? 0 : (graphic.get('renderedData.length') - 1), e);
+        }
+        break;
+      case KEYS.TAB:
+        if(this.cycleSelected(e.shiftKey ? -1 : 1)) {
+          e.preventDefault();
+        }
+        break;
+    }
+  },
+
+  /**
+    Moves the tracked data of a graphic by a number of data points. If the graphic isn't tracking
+    any data, the first data point is tracked when stepping forward, and the last when stepping back.
+    @method stepTrackedData
+    @param graphic {Ember.Component} a graphic with data, such as `nf-line`
+    @param step {Number} the number of data points to move by
+    @param [originalEvent] {KeyboardEvent} the event that caused the step
+  */
+  stepTrackedData: function(graphic, step, originalEvent) {
+    var renderedData = graphic.get('renderedData');
+    var trackedData = graphic.get('trackedData');
+    if(!renderedData || renderedData.length === 0) {
+      return;
+    }
+
+    var index = -1;
+    if(trackedData) {
+      var x = Ember.get(trackedData, 'x');
+      index = renderedData.indexOf(graphic.getDataNearX(x));
+      if(index === -1) {
+        // ordinal x values can't be searched for by distance
+        index = renderedData.map(function(d) {
+          return d[0];
+        }).indexOf(x);
+      }
+    }
+
+    if(index === -1) {
+      index = step > 0 ? 0 : renderedData.length - 1;
+    } else {
+      index += step;
+    }
+
+    this.trackDataAt(graphic, Math.max(0, Math.min(index, renderedData.length - 1)), originalEvent);
+  },
+
+  /**
+    Tracks the visible data point of a graphic at an index, and announces it. The tracked data
+    is a {{#crossLink "utils.nf.graph-mouse-event"}}{{/crossLink}}, as it is when hovering.
+    @method trackDataAt
+    @param graphic {Ember.Component} a graphic with data, such as `nf-line`
+    @param index {Number} the index of the data point in the graphic's `renderedData`
+    @param [originalEvent] {KeyboardEvent} the event that caused the change
+  */
+  trackDataAt: function(graphic, index, originalEvent) {
+    var d = graphic.get('renderedData')[index];
+    if(!d) {
+      return;
+    }
+
+    graphic.set('trackedData', GraphMouseEvent.create({
+      originalEvent: originalEvent,
+      dataPoint: d,
+      source: graphic,
+      graph: this
+    }));
+
+    this.announceTrackedData(graphic);
+  },
+
+  /**
+    Selects the next or previous selectable graphic, deselecting the current one.
+    @method cycleSelected
+    @param step {Number} `1` for the next graphic, or `-1` for the previous one
+    @return {Boolean} `true` if a graphic was selected, or `false` if there are no more
+    graphics in that direction
+  */
+  cycleSelected: function(step) {
+    var graphics = this.get('selectableGraphics');
+    var current = this.get('selected');
+    if(this.selectMultiple) {
+      current = current ? current.get('lastObject') : null;
+    }
+
+    var index = graphics.indexOf(current);
+    var next = graphics[index === -1 ? (step > 0 ? 0 : graphics.length - 1) : index + step];
+    if(!next) {
+      return false;
+    }
+
+    if(current) {
+      this.deselectGraphic(current);
+    }
+    this.selectGraphic(next);
+
+    this.set('announcement', this.get('announceSelectionFormat').call(this, {
+      name: next.get('name'),
+      index: graphics.indexOf(next),
+      count: graphics.length,
+      source: next
+    }));
+    return true;
+  },
+
+  /**
+    Sets the `announcement` to the tracked x and y values of a graphic with `announceFormat`.
+    @method announceTrackedData
+    @param graphic {Ember.Component} a graphic with `trackedData`
+  */
+  announceTrackedData: function(graphic) {
+    var trackedData = graphic.get('trackedData');
+    if(!trackedData) {
+      return;
+    }
+
+    var xAxis = this.get('xAxis');
+    var yAxis = graphic.get('yAxisId') === 'y2' ? this.get('y2Axis') : this.get('yAxis');
+    var x = Ember.get(trackedData, 'x');
+    var y = Ember.get(trackedData, 'y');
+
+    this.set('announcement', this.get('announceFormat').call(this, {
+      x: xAxis ? xAxis.formatValue(x) : x,
+      y: yAxis ? yAxis.formatValue(y) : y,
+      data: Ember.get(trackedData, 'data'),
+      name: graphic.get('name'),
+      source: graphic
+    }));
+  },
+
   /**
     The initialization method. Fired on `init`.
     @method _setup
@@ -920,9 +1747,156 @@ export default Ember.Component.extend({
   */
   _setup: function(){
     this.set('graphics', []);
+    this.set('xAxes', []);
+    this.set('yAxes', []);
     this.set('selected', this.selectMultiple ? [] : null);
+    this.set('zoomHistory', []);
+  }.on('init'),
+
+  /**
+    The `nf-graph-group` this graph is in, if any. Hovering is synchronized between the graphs in a group.
+    @property group
+    @type components.nf-graph-group
+    @default null
+    @readonly
+  */
+  group: null,
+
+  /**
+    How the graph's domain is linked to the domain of its `nf-graph-group`. Possible values are:
+
+    - `'none'`: the graph's domain is independent of the group's
+    - `'one-way'`: the graph follows changes to the group's domain, but its own zooming, panning
+      and brush zooming are not shared
+    - `'two-way'`: the graph follows changes to the group's domain, and its own zooming, panning and brush zooming
+      update the group's domain, and so every other linked graph
+
+    When `null`, the group's `domainLink` is used. While linked, the graph's min and max modes are ignored.
+    Only the x domain is linked, unless the group's `linkY` is `true` and the graph's `independentY` is `false`,
+    which links the y and y2 domains as well.
+    @property domainLink
+    @type String
+    @default null
+  */
+  domainLink: null,
+
+  /**
+    If `true`, the y and y2 domains aren't linked to the `nf-graph-group`, even when the group's `linkY` is `true`.
+    @property independentY
+    @type Boolean
+    @default false
+  */
+  independentY: false,
+
+  /**
+    The resolved `domainLink` of the graph: `'none'`, `'one-way'` or `'two-way'`.
+    @property domainLinkMode
+    @type String
+    @readonly
+  */
+  domainLinkMode: function(){
+    if(!this.get('group')) {
+      return 'none';
+    }
+    return this.get('domainLink') || this.get('group.domainLink') || 'none';
+  }.property('group', 'domainLink', 'group.domainLink'),
+
+  /**
+    `true` while the x domain is set by the `nf-graph-group`'s `xMin` and `xMax`.
+    @property isXDomainLinked
+    @type Boolean
+    @readonly
+  */
+  isXDomainLinked: function(){
+    return this.get('domainLinkMode') !== 'none' &&
+      this.get('group.xMin') != null && this.get('group.xMax') != null;
+  }.property('domainLinkMode', 'group.xMin', 'group.xMax'),
+
+  /**
+    `true` while the y domain is set by the `nf-graph-group`'s `yMin` and `yMax`.
+    @property isYDomainLinked
+    @type Boolean
+    @readonly
+  */
+  isYDomainLinked: function(){
+    return this.get('domainLinkMode') !== 'none' && this._isLinkableAxis('y') &&
+      this.get('group.yMin') != null && this.get('group.yMax') != null;
+  }.property('domainLinkMode', 'group.linkY', 'independentY', 'group.yMin', 'group.yMax'),
+
+  /**
+    `true` while the y2 domain is set by the `nf-graph-group`'s `y2Min` and `y2Max`.
+    @property isY2DomainLinked
+    @type Boolean
+    @readonly
+  */
+  isY2DomainLinked: function(){
+    return this.get('domainLinkMode') !== 'none' && this._isLinkableAxis('y2') &&
+      this.get('group.y2Min') != null && this.get('group.y2Max') != null;
+  }.property('domainLinkMode', 'group.linkY', 'independentY', 'group.y2Min', 'group.y2Max'),
+
+  /**
+    Returns `true` if an axis can be linked to the `nf-graph-group`'s domain.
+    @method _isLinkableAxis
+    @param axis {String} `'x'`, `'y'` or `'y2'`
+    @return {Boolean}
+    @private
+  */
+  _isLinkableAxis: function(axis) {
+    return axis === 'x' || (!!this.get('group.linkY') && !this.get('independentY'));
+  },
+
+  /**
+    Applies the `nf-graph-group`'s domain to each linked axis.
+    @method _applyLinkedDomain
+    @private
+  */
+  _applyLinkedDomain: function(){
+    if(this.get('isDestroying')) {
+      return;
+    }
+    ['x', 'y', 'y2'].forEach(function(axis) {
+      if(this.get('is' + axis.toUpperCase() + 'DomainLinked')) {
+        this.set(axis + 'Min', this.get('group.' + axis + 'Min'));
+        this.set(axis + 'Max', this.get('group.' + axis + 'Max'));
+      }
+    }, this);
+  },
+
+  /**
+    Schedules applying the `nf-graph-group`'s domain when it or the link changes.
+    @method _linkedDomainDidChange
+    @private
+  */
+  _linkedDomainDidChange: function(){
+    Ember.run.once(this, this._applyLinkedDomain);
+  }.observes('isXDomainLinked', 'isYDomainLinked', 'isY2DomainLinked', 'group.xMin', 'group.xMax',
+    'group.yMin', 'group.yMax', 'group.y2Min', 'group.y2Max').on('init'),
+
+  /**
+    Registers the graph with the `nf-graph-group` it's in, if any.
+    @method _registerWithGroup
+    @private
+  */
+  _registerWithGroup: function(){
+    var group = this.nearestWithProperty('isGraphGroup');
+    if(group) {
+      this.set('group', group);
+      group.registerGraph(this);
+    }
   }.on('init'),
 
+  /**
+    Unregisters the graph from its `nf-graph-group`.
+    @method _unregisterFromGroup
+    @private
+  */
+  _unregisterFromGroup: function(){
+    var group = this.get('group');
+    if(group) {
+      group.unregisterGraph(this);
+    }
+  }.on('willDestroyElement'),
+
   /**
     The amount of leeway, in pixels, to give before triggering a brush start.
     @property brushThreshold
@@ -931,6 +1905,245 @@ export default Ember.Component.extend({
   */
   brushThreshold: 7,
 
+  /**
+    The time, in milliseconds, a touch must be held on the graph content, without moving past
+    the `brushThreshold`, before dragging it brushes. Shorter touches track data
+    like a hovering mouse instead.
+    @property brushLongPressDelay
+    @type {Number}
+    @default 500
+  */
+  brushLongPressDelay: 500,
+
+  /**
+    `true` while a brush is in progress
+    @property isBrushing
+    @type Boolean
+    @default false
+    @readonly
+  */
+  isBrushing: false,
+
+  /**
+    Sets a built-in behavior for brushing.
+
+    ### Possible values:
+
+    - `null`: (default) brushing only sends the brush actions.
+    - `'zoom'`: when a brush ends, the brushed range becomes the x domain of the graph and the
+      previous domain is pushed onto `zoomHistory`. Double-clicking the graph content resets the zoom.
+      The y domain, and the y2 domain if there is one, is zoomed as well when `brushDimension` is `'y'` or `'xy'`. Zoomed axes are switched to
+      `'fixed'` min and max modes until the zoom is reset.
+
+    @property brushMode
+    @type String
+    @default null
+  */
+  brushMode: null,
+
+  /**
+    The stack of domains the graph was zoomed from by brushing. The most recent domain is last.
+    Each is an object with the `axes` that were zoomed, such as `['x']`, and the min and max of
+    each of them, such as `xMin` and `xMax`.
+    @property zoomHistory
+    @type Array
+    @readonly
+  */
+  zoomHistory: null,
+
+  /**
+    Returns `true` if there is a previous domain in `zoomHistory` to zoom out to.
+    @property isZoomed
+    @type Boolean
+    @readonly
+  */
+  isZoomed: Ember.computed.notEmpty('zoomHistory'),
+
+  /**
+    Restores the axes zoomed by the most recent domain in `zoomHistory` and sends `zoomAction`.
+    @method zoomOut
+  */
+  zoomOut: function() {
+    var history = this.get('zoomHistory');
+    if(history.length === 1) {
+      this.resetZoom();
+    } else if(history.length > 0) {
+      this._setZoomDomain(history.popObject());
+      this._sendZoomAction('zoomAction', null);
+    }
+  },
+
+  /**
+    Restores the domain and the min and max modes the graph had before it was first zoomed or
+    panned, clears `zoomHistory` and sends `zoomAction`.
+    @method resetZoom
+  */
+  resetZoom: function() {
+    var history = this.get('zoomHistory');
+    var restore = this._zoomRestore;
+    if(history.length === 0 && !restore) {
+      return;
+    }
+
+    if(history.length > 0) {
+      // restore each axis to the domain it had before it was first zoomed, so the oldest entry wins
+      var domain = { axes: [] };
+      history.slice().reverse().forEach(function(entry) {
+        entry.axes.forEach(function(axis) {
+          if(domain.axes.indexOf(axis) === -1) {
+            domain.axes.push(axis);
+          }
+          domain[axis + 'Min'] = entry[axis + 'Min'];
+          domain[axis + 'Max'] = entry[axis + 'Max'];
+        });
+      });
+      history.clear();
+      this._setZoomDomain(domain);
+    }
+
+    if(restore) {
+      Ember.keys(restore).forEach(function(axis) {
+        var r = restore[axis];
+        this._setDomain(axis, r.min, r.max);
+        this.set(axis + 'MinMode', r.minMode);
+        this.set(axis + 'MaxMode', r.maxMode);
+      }, this);
+      this._zoomRestore = null;
+    }
+
+    this._sendZoomAction('zoomAction', null);
+  },
+
+  /**
+    The domains and min and max modes of the axes from before they were switched to `'fixed'`
+    modes by zooming or panning, keyed by axis.
+    @property _zoomRestore
+    @type Object
+    @default null
+    @private
+  */
+  _zoomRestore: null,
+
+  /**
+    Switches an axis to `'fixed'` min and max modes, so a zoomed or panned domain is not changed
+    by the graphed data. The previous modes and domain are kept for `resetZoom`.
+    @method _fixDomainModes
+    @param axis {String} `'x'`, `'y'` or `'y2'`
+    @private
+  */
+  _fixDomainModes: function(axis) {
+    var restore = this._zoomRestore || {};
+    if(restore[axis]) {
+      return;
+    }
+
+    var minMode = this.get(axis + 'MinMode');
+    var maxMode = this.get(axis + 'MaxMode');
+    if(minMode === 'fixed' && maxMode === 'fixed') {
+      return;
+    }
+
+    // get the domain before changing modes, so the modes' current values are kept
+    restore[axis] = {
+      min: this.get(axis + 'Min'),
+      max: this.get(axis + 'Max'),
+      minMode: minMode,
+      maxMode: maxMode
+    };
+    this._zoomRestore = restore;
+
+    this.set(axis + 'MinMode', 'fixed');
+    this.set(axis + 'MaxMode', 'fixed');
+  },
+
+  /**
+    Pushes the current domain of the axes about to be zoomed onto `zoomHistory`.
+    @method _pushZoomHistory
+    @param axes {Array} the axes being zoomed, such as `['x', 'y']`
+    @private
+  */
+  _pushZoomHistory: function(axes) {
+    var entry = { axes: axes };
+    axes.forEach(function(axis) {
+      entry[axis + 'Min'] = this.get(axis + 'Min');
+      entry[axis + 'Max'] = this.get(axis + 'Max');
+    }, this);
+    this.get('zoomHistory').pushObject(entry);
+  },
+
+  /**
+    Sets the domain of the `axes` listed in a `zoomHistory` entry. Other axes, and their
+    min and max modes, are left as they are.
+    @method _setZoomDomain
+    @param domain {Object} the `zoomHistory` entry to restore
+    @private
+  */
+  _setZoomDomain: function(domain) {
+    domain.axes.forEach(function(axis) {
+      this._setDomain(axis, domain[axis + 'Min'], domain[axis + 'Max']);
+    }, this);
+  },
+
+  /**
+    Applies the range of a brush event to the x domain when `brushMode` is `'zoom'`.
+    @method _zoomToBrush
+    @param e {Object} the brush end event
+    @private
+  */
+  _zoomToBrush: function(e) {
+    var dimension = this.get('brushDimension');
+    var domain = { axes: [] };
+
+    if(dimension !== 'y') {
+      domain.axes.push('x');
+      domain.xMin = Ember.get(e, 'left.x');
+      domain.xMax = Ember.get(e, 'right.x');
+    }
+
+    if(dimension !== 'x') {
+      domain.axes.push('y');
+      domain.yMin = Ember.get(e, 'bottom.y');
+      domain.yMax = Ember.get(e, 'top.y');
+
+      // the brush positions are in the y domain, so map their pixels through the y2 scale
+      var y2Scale = this.get('y2Scale');
+      if(this.get('_hasY2') && y2Scale.invert) {
+        domain.axes.push('y2');
+        domain.y2Min = y2Scale.invert(Ember.get(e, 'bottom.graphY'));
+        domain.y2Max = y2Scale.invert(Ember.get(e, 'top.graphY'));
+      }
+    }
+
+    this._pushZoomHistory(domain.axes);
+    this._setZoomDomain(domain);
+
+    this._sendZoomAction('zoomAction', Ember.get(e, 'current.originalEvent'));
+  },
+
+  /**
+    Resets the zoom when the graph content is double-clicked and `brushMode` is `'zoom'`.
+    @method doubleClick
+    @param e {MouseEvent} the DOM event
+  */
+  doubleClick: function(e) {
+    var inContent = Ember.$(e.target).closest('.nf-graph-content').length > 0;
+    if(inContent && this.get('brushMode') === 'zoom') {
+      this.resetZoom();
+    }
+  },
+
+  /**
+    The dimensions brushing selects along. Possible values are `'x'`, `'y'` and `'xy'` (a rectangular region).
+    Brush events carry `left`/`right` and `top`/`bottom` positions regardless, but only movement along
+    the brush dimension counts toward `brushThreshold`. `left` and `right` are always the minimum and
+    maximum x domain values, and `bottom` and `top` the minimum and maximum y domain values, even
+    with `xReverse` or `yReverse`.
+    @property brushDimension
+    @type String
+    @default 'x'
+  */
+  brushDimension: 'x',
+
   /**
     The name of the action to trigger when brushing starts
     @property brushStartAction
@@ -967,9 +2180,23 @@ export default Ember.Component.extend({
     var mouseUps = Observable.fromEvent(Ember.$(document), 'mouseup');
     var mouseLeaves = Observable.fromEvent(content, 'mouseleave');
 
-    this._brushDisposable = Observable.merge(mouseDowns, mouseMoves, mouseLeaves).
+    var touchStarts = Observable.fromEvent(content, 'touchstart');
+    var touchMoves = Observable.fromEvent(content, 'touchmove');
+    var touchEnds = Observable.merge(Observable.fromEvent(content, 'touchend'), Observable.fromEvent(content, 'touchcancel'));
+
+    var isNotPannable = function() { return !this.get('pannable'); }.bind(this);
+    var toLongPressTouchEvents = this._toLongPressTouchEvents.bind(this, touchStarts, touchMoves, touchEnds);
+
+    var mouseWindows = Observable.merge(mouseDowns, mouseMoves, mouseLeaves).
       // get a streams of mouse events that start on mouse down and end on mouse up
-      window(mouseDowns, function() { return mouseUps; })
+      window(mouseDowns, function() { return mouseUps; });
+
+    // get streams of touch events that start after a long press and end when the touch is lifted
+    var touchWindows = touchStarts.filter(isSingleTouch).flatMap( toLongPressTouchEvents );
+
+    this._brushDisposable = Observable.merge(mouseWindows, touchWindows)
+      // dragging pans the graph instead of brushing when it's pannable
+      .filter( isNotPannable )
       // filter out all of them if there are no brush actions registered
       // map the mouse event streams into brush event streams
       .map( toBrushEventStreams ).
@@ -981,6 +2208,39 @@ export default Ember.Component.extend({
       forEach(triggerComponentEvent);
   }.on('didInsertElement'),
 
+  /**
+    Gets a stream that emits a single stream of touch events if a touch is held for the
+    `brushLongPressDelay` without moving past the `brushThreshold`. The emitted stream has the
+    starting touch, then every move of the touch until it's lifted or another touch starts.
+    Moves are prevented from scrolling the page while brushing.
+    @method _toLongPressTouchEvents
+    @param touchStarts {Rx.Observable} the touchstart events on the content
+    @param touchMoves {Rx.Observable} the touchmove events on the content
+    @param touchEnds {Rx.Observable} the touchend and touchcancel events on the content
+    @param start {TouchEvent} the touchstart event of the touch
+    @return {Rx.Observable}
+    @private
+  */
+  _toLongPressTouchEvents: function(touchStarts, touchMoves, touchEnds, start) {
+    var byBrushThreshold = this._byBrushThreshold.bind(this);
+    var startInfo = { originalEvent: start };
+    var ends = Observable.merge(touchStarts, touchEnds);
+    var movedAway = touchMoves.filter(function(e) {
+      return byBrushThreshold([startInfo, e]);
+    });
+
+    var moves = touchMoves.takeUntil(ends).map(function(e) {
+      e.preventDefault();
+      return e;
+    });
+
+    return Observable.timer(this.get('brushLongPressDelay')).
+      takeUntil(Observable.merge(ends, movedAway)).
+      map(function() {
+        return Observable.just(start).concat(moves);
+      });
+  },
+
   _toBrushEventStreams: function(mouseEvents) {
     var getStartInfo = this._getStartInfo;
     var byBrushThreshold = this._byBrushThreshold.bind(this);
@@ -1021,6 +2281,7 @@ export default Ember.Component.extend({
   },
 
   didBrushStart: function(e) {
+    this.set('isBrushing', true);
     document.body.style.setProperty('-webkit-user-select', 'none');
     document.body.style.setProperty('-moz-user-select', 'none');
     document.body.style.setProperty('user-select', 'none');
@@ -1030,12 +2291,16 @@ export default Ember.Component.extend({
   },
 
   didBrushEnd: function(e) {
+    this.set('isBrushing', false);
     document.body.style.removeProperty('-webkit-user-select');
     document.body.style.removeProperty('-moz-user-select');
     document.body.style.removeProperty('user-select');
     if(this.get('brushEndAction')) {
       this.sendAction('brushEndAction', e);
     }
+    if(this.get('brushMode') === 'zoom') {
+      Ember.run(this, this._zoomToBrush, e);
+    }
   },
 
   _toBrushEvent: function(d) {
@@ -1057,26 +2322,33 @@ export default Ember.Component.extend({
       graphY: currentPoint.y
     });
 
-    var left = startPosition;
-    var right = currentPosition;
+    // left and right are the x domain min and max, and bottom and top the y domain min and max,
+    // so they're swapped from their pixel positions on reversed axes
+    var isStartLeft = (start.mousePoint.x <= currentPoint.x) !== Boolean(this.get('xReverse'));
+    var isStartTop = (start.mousePoint.y <= currentPoint.y) !== Boolean(this.get('yReverse'));
 
-    if(start.originalEvent.clientX > currentEvent.clientX) {
-      left = currentPosition;
-      right = startPosition;
-    }
+    var left = isStartLeft ? startPosition : currentPosition;
+    var right = isStartLeft ? currentPosition : startPosition;
+    var top = isStartTop ? startPosition : currentPosition;
+    var bottom = isStartTop ? currentPosition : startPosition;
 
     return {
       start: startPosition,
       current: currentPosition,
       left: left,
-      right: right
+      right: right,
+      top: top,
+      bottom: bottom
     }; 
   },
 
   _byBrushThreshold: function(d) {
-    var startEvent = d[0].originalEvent;
-    var currentEvent = d[1];
-    return Math.abs(currentEvent.clientX - startEvent.clientX) > this.get('brushThreshold');
+    var startEvent = getClientPoint(d[0].originalEvent);
+    var currentEvent = getClientPoint(d[1]);
+    var dimension = this.get('brushDimension');
+    var dx = dimension !== 'y' ? Math.abs(currentEvent.clientX - startEvent.clientX) : 0;
+    var dy = dimension !== 'x' ? Math.abs(currentEvent.clientY - startEvent.clientY) : 0;
+    return Math.max(dx, dy) > this.get('brushThreshold');
   },
 
   _getStartInfo: function(e) {
@@ -1086,9 +2358,298 @@ export default Ember.Component.extend({
     };
   },
 
+  /**
+    Gets or sets whether or not mouse wheel and touch pinch gestures over the graph
+    content zoom the graph's domain. The axes listed in `zoomDimension` are switched to `'fixed'`
+    min and max modes when they're first zoomed or panned, and back by `resetZoom`.
+    @property zoomable
+    @type Boolean
+    @default false
+  */
+  zoomable: false,
+
+  /**
+    Gets or sets whether or not dragging the graph content with the mouse or a single touch
+    pans the graph's domain. While `pannable` is true, mouse drags will not brush.
+    @property pannable
+    @type Boolean
+    @default false
+  */
+  pannable: false,
+
+  /**
+    The axes affected by zooming and panning. Possible values are `'x'`, `'y'` and `'xy'`. The y2 axis,
+    if there is one, is zoomed and panned along with the y axis.
+    @property zoomDimension
+    @type String
+    @default 'x'
+  */
+  zoomDimension: 'x',
+
+  /**
+    The smallest zoom allowed, as a multiple of the graphed data extent. At `1`, the graph
+    cannot be zoomed out beyond its data.
+    @property minZoom
+    @type Number
+    @default 1
+  */
+  minZoom: 1,
+
+  /**
+    The largest zoom allowed, as a multiple of the graphed data extent.
+    @property maxZoom
+    @type Number
+    @default 100
+  */
+  maxZoom: 100,
+
+  /**
+    The name of the action to trigger when the graph is zoomed. The action is sent
+    an object with the new `xMin`, `xMax`, `yMin`, `yMax`, `y2Min` and `y2Max` values.
+    @property zoomAction
+    @type String
+    @default null
+  */
+  zoomAction: null,
+
+  /**
+    The name of the action to trigger when the graph is panned. The action is sent
+    an object with the new `xMin`, `xMax`, `yMin`, `yMax`, `y2Min` and `y2Max` values.
+    @property panAction
+    @type String
+    @default null
+  */
+  panAction: null,
+
+  /**
+    The axes that can currently be zoomed or panned.
+    @property _zoomAxes
+    @type Array
+    @readonly
+    @private
+  */
+  _zoomAxes: function(){
+    var dimension = this.get('zoomDimension');
+    var axes = dimension === 'xy' ? ['x', 'y'] : [dimension];
+    if(dimension !== 'x' && this.get('_hasY2')) {
+      axes.push('y2');
+    }
+    return axes.filter(function(axis) {
+      return this.get(axis + 'ScaleType') !== 'ordinal';
+    }, this);
+  }.property('zoomDimension', 'xScaleType', 'yScaleType', 'y2ScaleType', '_hasY2'),
+
+  /**
+    Returns `true` if the graph has a y2 axis or graphics with a `yAxisId` of `'y2'`.
+    @property _hasY2
+    @type Boolean
+    @readonly
+    @private
+  */
+  _hasY2: function(){
+    return Boolean(this.get('y2Axis')) || this.get('y2Data.length') > 0;
+  }.property('y2Axis', 'y2Data.length'),
+
+  /**
+    Sets the min and max of an axis from a zoom, pan or brush, switching the axis to `'fixed'`
+    modes first. If the graph's domain is linked two-way through its `nf-graph-group`, the
+    group's domain is set as well.
+    @method _setDomain
+    @param axis {String} `'x'`, `'y'` or `'y2'`
+    @param min {Number|Date} the new min
+    @param max {Number|Date} the new max
+    @private
+  */
+  _setDomain: function(axis, min, max) {
+    this._fixDomainModes(axis);
+    this.set(axis + 'Min', min);
+    this.set(axis + 'Max', max);
+
+    var group = this.get('group');
+    if(group && this.get('domainLinkMode') === 'two-way' && this._isLinkableAxis(axis)) {
+      var domain = {};
+      domain[axis + 'Min'] = min;
+      domain[axis + 'Max'] = max;
+      group.setProperties(domain);
+    }
+  },
+
+  /**
+    Sends a zoom or pan action with the current domain.
+    @method _sendZoomAction
+    @param actionName {String} `'zoomAction'` or `'panAction'`
+    @param originalEvent {Event} the DOM event that caused the change, if any
+    @private
+  */
+  _sendZoomAction: function(actionName, originalEvent) {
+    if(this.get(actionName)) {
+      this.sendAction(actionName, {
+        xMin: this.get('xMin'),
+        xMax: this.get('xMax'),
+        yMin: this.get('yMin'),
+        yMax: this.get('yMax'),
+        y2Min: this.get('y2Min'),
+        y2Max: this.get('y2Max'),
+        originalEvent: originalEvent,
+        graph: this
+      });
+    }
+  },
+
+  _setupZoomActions: function(){
+    var content = this.$('.nf-graph-content');
+    var element = content[0];
+    var self = this;
+
+    var isZoomable = function() { return self.get('zoomable'); };
+    var isPannable = function() { return self.get('pannable'); };
+    var getZoomStart = this._getZoomStart.bind(this);
+    var updateZoomDomain = function(d) {
+      Ember.run(self, self._updateZoomDomain, d);
+    };
+
+    var wheels = Observable.fromEvent(content, 'wheel');
+    var mouseDowns = Observable.fromEvent(content, 'mousedown');
+    var mouseMoves = Observable.fromEvent(Ember.$(document), 'mousemove');
+    var mouseUps = Observable.fromEvent(Ember.$(document), 'mouseup');
+    var touchStarts = Observable.fromEvent(content, 'touchstart');
+    var touchMoves = Observable.fromEvent(content, 'touchmove');
+    var touchEnds = Observable.merge(Observable.fromEvent(content, 'touchend'), 
+      Observable.fromEvent(content, 'touchcancel'));
+
+    // zoom about the mouse position on each wheel event
+    var wheelZooms = wheels.filter(isZoomable).map(function(e) {
+      var wheel = e.originalEvent;
+      var point = getMousePoint(element, { clientX: wheel.clientX, clientY: wheel.clientY });
+      e.preventDefault();
+      return [getZoomStart(), point, point, Math.pow(2, wheelDelta(wheel)), e, 'zoomAction'];
+    });
+
+    // pan relative to the domain at mouse down for each mouse move until mouse up
+    var mousePans = mouseDowns.filter(isPannable).flatMap(function(down) {
+      var start = getZoomStart();
+      var from = getMousePoint(element, down);
+      return mouseMoves.takeUntil(mouseUps).map(function(e) {
+        return [start, from, getMousePoint(element, e), 1, e, 'panAction'];
+      });
+    });
+
+    // pinch with two touches, or pan with one, until the number of touches changes
+    var touchGestures = touchStarts.flatMap(function(down) {
+      var start = getZoomStart();
+      var startPoints = getTouchPoints(element, down.originalEvent.touches);
+      var isPinch = startPoints.length > 1;
+
+      return touchMoves.takeUntil(Observable.merge(touchStarts, touchEnds)).map(function(e) {
+        var points = getTouchPoints(element, e.originalEvent.touches);
+
+        if(isPinch && points.length > 1 && isZoomable()) {
+          e.preventDefault();
+          return [start, midpoint(startPoints), midpoint(points), distance(points) / distance(startPoints), e, 'zoomAction'];
+        }
+
+        if(!isPinch && isPannable()) {
+          e.preventDefault();
+          return [start, startPoints[0], points[0], 1, e, 'panAction'];
+        }
+      }).filter(Boolean);
+    });
+
+    this._zoomDisposable = Observable.merge(wheelZooms, mousePans, touchGestures).
+      forEach(updateZoomDomain);
+  }.on('didInsertElement'),
+
+  /**
+    Captures unclamped copies of the current scales to transform the domain from
+    during a zoom or pan gesture.
+    @method _getZoomStart
+    @return {Object} an object with `x`, `y` and `y2` scales
+    @private
+  */
+  _getZoomStart: function() {
+    var copyScale = function(scale) {
+      return scale && scale.clamp ? scale.copy().clamp(false) : null;
+    };
+
+    return {
+      x: copyScale(this.get('xScale')),
+      y: copyScale(this.get('yScale')),
+      y2: copyScale(this.get('y2Scale'))
+    };
+  },
+
+  /**
+    Gets the zoom level of a scale as the ratio of the pixel span of the graphed data 
+    to the pixel span of the graph.
+    @method _getZoomLevel
+    @param axis {String} `'x'`, `'y'` or `'y2'`
+    @param scale {d3.scale} the scale to measure
+    @return {Number} the zoom level, or `NaN` if it cannot be determined.
+    @private
+  */
+  _getZoomLevel: function(axis, scale) {
+    var extent = this.get(axis + 'DataExtent');
+    var range = this.get(axis + 'Range');
+    var dataSpan = Math.abs(scale(extent[1]) - scale(extent[0]));
+    var rangeSpan = Math.abs(range[1] - range[0]);
+    return dataSpan && rangeSpan ? dataSpan / rangeSpan : NaN;
+  },
+
+  /**
+    Updates the domain of each zoomable axis so that the pixel position `from`, in the starting
+    scales, appears at the pixel position `to`, with the content scaled by `factor` around it. 
+    Sends `zoomAction` or `panAction` with the resulting domain.
+    @method _updateZoomDomain
+    @param d {Array} an array of `[startScales, from, to, factor, originalEvent, actionName]`
+    @private
+  */
+  _updateZoomDomain: function(d) {
+    var start = d[0];
+    var from = d[1];
+    var to = d[2];
+    var factor = d[3];
+    var minZoom = this.get('minZoom');
+    var maxZoom = this.get('maxZoom');
+    var changed = false;
+
+    this.get('_zoomAxes').forEach(function(axis) {
+      var scale = start[axis];
+      if(!scale) {
+        return;
+      }
+
+      var axisFactor = factor;
+      var zoom = this._getZoomLevel(axis, scale);
+      // only clamp in the direction of the gesture, so a zoom already past a limit isn't reversed
+      if(zoom === zoom) {
+        if(factor < 1 && zoom * factor < minZoom) {
+          axisFactor = Math.min(1, minZoom / zoom);
+        } else if(factor > 1 && zoom * factor > maxZoom) {
+          axisFactor = Math.max(1, maxZoom / zoom);
+        }
+      }
+
+      // the y2 axis shares the y pixel positions
+      var p = axis === 'x' ? 'x' : 'y';
+      var domain = this.get(axis + 'Range').map(function(r) {
+        return scale.invert(from[p] + (r - to[p]) / axisFactor);
+      });
+
+      this._setDomain(axis, domain[0], domain[1]);
+      changed = true;
+    }, this);
+
+    if(changed) {
+      this._sendZoomAction(d[5], d[4]);
+    }
+  },
+
   willDestroyElement: function(){
     if(this._brushDisposable) {
       this._brushDisposable.dispose();
     }
+    if(this._zoomDisposable) {
+      this._zoomDisposable.dispose();
+    }
   },
 });
\ No newline at end of file
@@ -6,6 +6,7 @@ import SelectableGraphic from 'ember-cli-nf-graph/mixins/graph-selectable-graphi
 import RegisteredGraphic from 'ember-cli-nf-graph/mixins/graph-registered-graphic';
 import GraphicWithTrackingDot from 'ember-cli-nf-graph/mixins/graph-graphic-with-tracking-dot';
 import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import CanvasGraphic from 'ember-cli-nf-graph/mixins/graph-canvas-graphic';
 
 /**
   A line graphic for `nf-graph`. Displays a line for the data it's passed.
@@ -19,11 +20,28 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
   @uses mixins.graph-data-graphic
   @uses mixins.graph-graphic-with-tracking-dot
   @uses mixins.graph-requires-scale-source
+  @uses mixins.graph-canvas-graphic
 */
 export default Ember.Component.extend(HasGraphParent, DataGraphic, SelectableGraphic, 
-  LineUtils, RegisteredGraphic, GraphicWithTrackingDot, RequireScaleSource, {
+  LineUtils, RegisteredGraphic, GraphicWithTrackingDot, RequireScaleSource, CanvasGraphic, {
     
   tagName: 'g',
+
+  /**
+    The selector of the path styled for the canvas renderer.
+    @property canvasPathSelector
+    @type String
+    @private
+  */
+  canvasPathSelector: '.line',
+
+  /**
+    The width of the stroke a click must hit when drawn on the canvas, matching the SVG interaction mask.
+    @property canvasHitStrokeWidth
+    @type Number
+    @private
+  */
+  canvasHitStrokeWidth: 15,
   
   /**
     The type of D3 interpolator to use to create the line.
@@ -59,10 +77,36 @@ export default Ember.Component.extend(HasGraphParent, DataGraphic, SelectableGra
     @readonly
   */
   d: function(){
-    var renderedData = this.get('renderedData');
+    var decimatedData = this.get('decimatedData');
     var lineFn = this.get('lineFn');
-    return lineFn(renderedData);
-  }.property('renderedData.@each', 'lineFn'),
+    return lineFn(decimatedData);
+  }.property('decimatedData.@each', 'lineFn'),
+
+  /**
+    The function to trace the line onto a canvas `Path2D`.
+    @property canvasLineFn
+    @type Function
+    @private
+    @readonly
+  */
+  canvasLineFn: function(){
+    return this.createCanvasLineFn(this.get('xScale'), this.get('yScale'), this.get('interpolator'));
+  }.property('xScale', 'yScale', 'interpolator'),
+
+  /**
+    The `Path2D` to draw the line on the canvas, traced from the data rather than from `d`.
+    `null` unless `renderer` is `'canvas'`.
+    @property canvasPath
+    @type Path2D
+    @private
+    @readonly
+  */
+  canvasPath: function(){
+    if(!this.get('isCanvasRenderer')) {
+      return null;
+    }
+    return this.get('canvasLineFn')(this.get('decimatedData'));
+  }.property('isCanvasRenderer', 'decimatedData.@each', 'canvasLineFn'),
 
   /**
     Event handler to toggle the `selected` property on click
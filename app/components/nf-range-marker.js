@@ -65,7 +65,8 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
 	height: 10,
 
   /**
-    The computed x position of the range marker.
+    The computed x position of the left edge of the range marker. This is the position of `xMax`
+    if the graph's x axis is reversed.
     @property x
     @type Number
     @readonly
@@ -73,8 +74,9 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   x: function(){
     var xScale = this.get('xScale');
     var xMin = this.get('xMin');
-    return xScale(xMin);
-  }.property('xMin', 'xScale'),
+    var xMax = this.get('xMax');
+    return Math.min(xScale(xMin), xScale(xMax));
+  }.property('xMin', 'xMax', 'xScale'),
 
   /**
     The computed width of the range marker.
@@ -86,7 +88,7 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     var xScale = this.get('xScale');
     var xMax = this.get('xMax');
     var xMin = this.get('xMin');
-  	return xScale(xMax) - xScale(xMin);
+  	return Math.abs(xScale(xMax) - xScale(xMin));
   }.property('xScale', 'xMin', 'xMax'),
 
   /**
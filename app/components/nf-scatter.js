@@ -0,0 +1,284 @@
+import Ember from 'ember';
+import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
+import DataGraphic from 'ember-cli-nf-graph/mixins/graph-data-graphic';
+import RegisteredGraphic from 'ember-cli-nf-graph/mixins/graph-registered-graphic';
+import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import GraphicWithTrackingDot from 'ember-cli-nf-graph/mixins/graph-graphic-with-tracking-dot';
+import parsePropExpr from 'ember-cli-nf-graph/utils/parse-property-expression';
+import { getSymbolPath } from 'ember-cli-nf-graph/utils/nf/svg-dom';
+
+/**
+  Plots a large number of points on an `nf-graph`. Unlike `nf-plots`, which renders a view per
+  item, points are drawn into a single SVG path for each distinct color and shape.
+
+  Hovering and clicking find the nearest point in both x and y, within `hitRadius`. Clicks are
+  handled by the graph content, so they don't need to land on a drawn point.
+
+  ### Example
+
+        {{#nf-graph width=500 height=300}}
+          {{#nf-graph-content}}
+            {{nf-scatter data=points xprop="cpu" yprop="latency" sizeprop="count"
+              colorprop="color" shape="diamond" trackingMode="hover" pointClick="showPoint"}}
+          {{/nf-graph-content}}
+        {{/nf-graph}}
+
+  @namespace components
+  @class nf-scatter
+  @extends Ember.Component
+  @uses mixins.graph-has-graph-parent
+  @uses mixins.graph-registered-graphic
+  @uses mixins.graph-data-graphic
+  @uses mixins.graph-requires-scale-source
+  @uses mixins.graph-graphic-with-tracking-dot
+*/
+export default Ember.Component.extend(HasGraphParent, RegisteredGraphic, DataGraphic, RequireScaleSource,
+  GraphicWithTrackingDot, {
+
+  tagName: 'g',
+
+  classNames: ['nf-scatter'],
+
+  /**
+    The radius, in pixels, of each point when there is no `sizeprop`
+    @property radius
+    @type Number
+    @default 2.5
+  */
+  radius: 2.5,
+
+  /**
+    The name of the property on each data item containing the radius, in pixels, of its point
+    @property sizeprop
+    @type String
+    @default null
+  */
+  sizeprop: null,
+
+  /**
+    The name of the property on each data item containing the fill color of its point.
+    Points without a color are styled by CSS.
+    @property colorprop
+    @type String
+    @default null
+  */
+  colorprop: null,
+
+  /**
+    The symbol to draw for each point when there is no `shapeprop`. Possible values are
+    `'circle'`, `'square'`, `'diamond'`, `'triangle-up'`, `'triangle-down'` and `'cross'`.
+    @property shape
+    @type String
+    @default 'circle'
+  */
+  shape: 'circle',
+
+  /**
+    The name of the property on each data item containing the symbol to draw for its point
+    @property shapeprop
+    @type String
+    @default null
+  */
+  shapeprop: null,
+
+  /**
+    The maximum distance, in pixels, from the mouse to a point for it to be hovered or clicked.
+    @property hitRadius
+    @type Number
+    @default 10
+  */
+  hitRadius: 10,
+
+  /**
+    The name of the action to fire when a point is clicked.
+    @property pointClick
+    @type String
+    @default null
+  */
+  pointClick: null,
+
+  /**
+    Gets the function to get the radius from each data item.
+    @property getSize
+    @readonly
+    @private
+  */
+  getSize: function() {
+    var sizeprop = this.get('sizeprop');
+    return sizeprop ? parsePropExpr(sizeprop) : null;
+  }.property('sizeprop'),
+
+  /**
+    Gets the function to get the color from each data item.
+    @property getColor
+    @readonly
+    @private
+  */
+  getColor: function() {
+    var colorprop = this.get('colorprop');
+    return colorprop ? parsePropExpr(colorprop) : null;
+  }.property('colorprop'),
+
+  /**
+    Gets the function to get the shape from each data item.
+    @property getShape
+    @readonly
+    @private
+  */
+  getShape: function() {
+    var shapeprop = this.get('shapeprop');
+    return shapeprop ? parsePropExpr(shapeprop) : null;
+  }.property('shapeprop'),
+
+  /**
+    The rendered data with the pixel position, radius, color and shape of each point.
+    @property points
+    @type Array
+    @readonly
+    @private
+  */
+  points: function(){
+    var xScale = this.get('xScale');
+    var yScale = this.get('yScale');
+    var renderedData = this.get('renderedData');
+    var radius = this.get('radius');
+    var shape = this.get('shape');
+    var getSize = this.get('getSize');
+    var getColor = this.get('getColor');
+    var getShape = this.get('getShape');
+
+    if(!xScale || !yScale || !Ember.isArray(renderedData)) {
+      return [];
+    }
+
+    var xMod = xScale.rangeBand ? xScale.rangeBand() / 2 : 0;
+    var yMod = yScale.rangeBand ? yScale.rangeBand() / 2 : 0;
+
+    return renderedData.map(function(d) {
+      return {
+        x: (xScale(d[0]) || 0) + xMod,
+        y: (yScale(d[1]) || 0) + yMod,
+        r: getSize ? +getSize(d.data) || 0 : radius,
+        color: getColor ? getColor(d.data) : null,
+        shape: (getShape && getShape(d.data)) || shape,
+        data: d
+      };
+    });
+  }.property('xScale', 'yScale', 'renderedData.[]', 'radius', 'shape', 'getSize', 'getColor', 'getShape'),
+
+  /**
+    The models used to render the points, one SVG path per distinct color and shape.
+    @property pointGroups
+    @type Array
+    @readonly
+    @private
+  */
+  pointGroups: function(){
+    var points = this.get('points');
+    var lookup = {};
+    var groups = [];
+
+    points.forEach(function(p) {
+      var key = p.shape + '|' + (p.color || '');
+      var group = lookup[key];
+      if(!group) {
+        group = lookup[key] = { color: p.color, shape: p.shape, paths: [] };
+        groups.push(group);
+      }
+      group.paths.push(getSymbolPath(p.shape, p.x, p.y, p.r));
+    });
+
+    return groups.map(function(group) {
+      return {
+        path: group.paths.join(''),
+        color: group.color,
+        className: 'nf-scatter-points nf-scatter-' + group.shape
+      };
+    });
+  }.property('points'),
+
+  /**
+    A quadtree of the points for finding the point nearest to a pixel position.
+    @property quadtree
+    @readonly
+    @private
+  */
+  quadtree: function(){
+    return d3.geom.quadtree()
+      .x(function(p) { return p.x; })
+      .y(function(p) { return p.y; })(this.get('points'));
+  }.property('points'),
+
+  /**
+    Finds the data point nearest to a pixel position within `hitRadius`.
+    @method getDataNearRange
+    @param rangeX {Number} the x pixel position relative to the graph content
+    @param rangeY {Number} the y pixel position relative to the graph content
+    @return {Array} the data point, or `null` if there is none within `hitRadius`
+  */
+  getDataNearRange: function(rangeX, rangeY) {
+    if(+rangeX !== +rangeX || +rangeY !== +rangeY) {
+      return null;
+    }
+
+    var nearest = this.get('quadtree').find([rangeX, rangeY]);
+    if(!nearest) {
+      return null;
+    }
+
+    var dx = nearest.x - rangeX;
+    var dy = nearest.y - rangeY;
+    var hitRadius = Math.max(this.get('hitRadius'), nearest.r);
+    return dx * dx + dy * dy <= hitRadius * hitRadius ? nearest.data : null;
+  },
+
+  /**
+    Event handler for the content's didClick event. Sends the `pointClick` action with the point
+    nearest the mouse.
+    @method didContentClick
+    @param e {utils.nf.graph-mouse-event}
+    @private
+  */
+  didContentClick: function(e) {
+    if(!this.get('pointClick')) {
+      return;
+    }
+
+    var dataPoint = this.getDataNearRange(e.get('mouseX'), e.get('mouseY'));
+
+    if(dataPoint) {
+      this.sendAction('pointClick', {
+        data: dataPoint.data,
+        x: dataPoint[0],
+        y: dataPoint[1],
+        source: this,
+        graph: this.get('graph'),
+        originalEvent: e.get('originalEvent')
+      });
+    }
+  },
+
+  /**
+    Sets up the subscription to content clicks.
+    @method _setupClickBinding
+    @private
+  */
+  _setupClickBinding: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.on('didClick', this, this.didContentClick);
+    }
+  }.on('didInsertElement'),
+
+  /**
+    Tears down the subscription to content clicks.
+    @method _teardownClickBinding
+    @private
+  */
+  _teardownClickBinding: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.off('didClick', this, this.didContentClick);
+    }
+  }.on('willDestroyElement')
+});
@@ -0,0 +1,340 @@
+import Ember from 'ember';
+import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
+import GraphMouseEvent from 'ember-cli-nf-graph/utils/nf/graph-mouse-event';
+
+/**
+  A tooltip that follows the mouse while it's hovering over the graph content, showing the
+  data point nearest the mouse from every registered graphic that has data, such as `nf-line`,
+  `nf-area` and `nf-bars`.
+
+  The points are yielded to the block as an array of models, in the order the graphics were registered,
+  each with:
+
+  - `x` - the x domain value of the point
+  - `y` - the y domain value of the point
+  - `data` - the original data item of the point
+  - `source` - the graphic the point belongs to
+  - `index` - the position of the model in the array
+  - `lineY` - `index` multiplied by `lineHeight`, for placing a line of text for each point
+
+  The yielded content is drawn over a background sized to fit it, and the tooltip is positioned
+  next to the mouse, flipping to the other side of it to stay inside the graph content.
+  Should be placed in an `nf-graph-content`.
+
+  ### Example
+
+        {{#nf-graph width=500 height=300}}
+          {{#nf-graph-content}}
+            {{nf-line data=requests xprop="time" yprop="count"}}
+            {{nf-line data=errors xprop="time" yprop="count"}}
+            {{#nf-tooltip as |points|}}
+              {{#each point in points}}
+                <text {{bind-attr y=point.lineY}}>{{point.source.name}}: {{point.y}}</text>
+              {{/each}}
+            {{/nf-tooltip}}
+          {{/nf-graph-content}}
+        {{/nf-graph}}
+
+  ### Styling
+
+  The main container has a `nf-tooltip` class, the background is a `<rect>` with a
+  `nf-tooltip-background` class, and the yielded content is in a `<g>` with a `nf-tooltip-content` class.
+  `nf-tooltip-flipped-x` and `nf-tooltip-flipped-y` classes are applied when the tooltip is flipped
+  to the left of or above the mouse.
+
+  @namespace components
+  @class nf-tooltip
+  @extends Ember.Component
+  @uses mixins.graph-has-graph-parent
+*/
+export default Ember.Component.extend(HasGraphParent, {
+  tagName: 'g',
+
+  classNames: ['nf-tooltip'],
+
+  classNameBindings: ['isFlippedX:nf-tooltip-flipped-x', 'isFlippedY:nf-tooltip-flipped-y'],
+
+  attributeBindings: ['transform'],
+
+  /**
+    The distance, in pixels, from the mouse to the tooltip
+    @property offset
+    @type Number
+    @default 12
+  */
+  offset: 12,
+
+  /**
+    The space, in pixels, between the edge of the background and the yielded content
+    @property padding
+    @type Number
+    @default 4
+  */
+  padding: 4,
+
+  /**
+    The height, in pixels, of each line, used for the `lineY` of the yielded points
+    @property lineHeight
+    @type Number
+    @default 14
+  */
+  lineHeight: 14,
+
+  /**
+    The nearest data point of each graphic to the mouse. This is what's yielded to the block.
+    @property points
+    @type Array
+    @readonly
+  */
+  points: null,
+
+  /**
+    The mouse x position relative to the graph content
+    @property mouseX
+    @type Number
+    @default 0
+  */
+  mouseX: 0,
+
+  /**
+    The mouse y position relative to the graph content
+    @property mouseY
+    @type Number
+    @default 0
+  */
+  mouseY: 0,
+
+  /**
+    The visibility of the component. The tooltip is visible while the mouse is over the graph
+    content and there are points to show.
+    @property isVisible
+    @type Boolean
+    @default false
+  */
+  isVisible: false,
+
+  /**
+    The measured bounding box of the yielded content
+    @property _contentBox
+    @type Object
+    @private
+  */
+  _contentBox: null,
+
+  /**
+    The width of the tooltip background
+    @property boxWidth
+    @type Number
+    @readonly
+  */
+  boxWidth: function(){
+    return (this.get('_contentBox.width') || 0) + this.get('padding') * 2;
+  }.property('_contentBox', 'padding'),
+
+  /**
+    The height of the tooltip background
+    @property boxHeight
+    @type Number
+    @readonly
+  */
+  boxHeight: function(){
+    return (this.get('_contentBox.height') || 0) + this.get('padding') * 2;
+  }.property('_contentBox', 'padding'),
+
+  /**
+    The SVG transform that places the yielded content inside the padding
+    @property contentTransform
+    @type String
+    @readonly
+    @private
+  */
+  contentTransform: function(){
+    var padding = this.get('padding');
+    var x = padding - (this.get('_contentBox.x') || 0);
+    var y = padding - (this.get('_contentBox.y') || 0);
+    return 'translate(%@ %@)'.fmt(x, y);
+  }.property('_contentBox', 'padding'),
+
+  /**
+    `true` if the tooltip doesn't fit to the right of the mouse, and is placed to the left of it.
+    @property isFlippedX
+    @type Boolean
+    @readonly
+  */
+  isFlippedX: function(){
+    var right = this.get('mouseX') + this.get('offset') + this.get('boxWidth');
+    return right > this.get('graph.graphWidth');
+  }.property('mouseX', 'offset', 'boxWidth', 'graph.graphWidth'),
+
+  /**
+    `true` if the tooltip doesn't fit below the mouse, and is placed above it.
+    @property isFlippedY
+    @type Boolean
+    @readonly
+  */
+  isFlippedY: function(){
+    var bottom = this.get('mouseY') + this.get('offset') + this.get('boxHeight');
+    return bottom > this.get('graph.graphHeight');
+  }.property('mouseY', 'offset', 'boxHeight', 'graph.graphHeight'),
+
+  /**
+    The x position of the tooltip, kept inside the graph content
+    @property x
+    @type Number
+    @readonly
+  */
+  x: function(){
+    var offset = this.get('offset');
+    var boxWidth = this.get('boxWidth');
+    var mouseX = this.get('mouseX');
+    var x = this.get('isFlippedX') ? mouseX - offset - boxWidth : mouseX + offset;
+    return Math.max(0, Math.min(x, (this.get('graph.graphWidth') || 0) - boxWidth));
+  }.property('mouseX', 'offset', 'boxWidth', 'isFlippedX', 'graph.graphWidth'),
+
+  /**
+    The y position of the tooltip, kept inside the graph content
+    @property y
+    @type Number
+    @readonly
+  */
+  y: function(){
+    var offset = this.get('offset');
+    var boxHeight = this.get('boxHeight');
+    var mouseY = this.get('mouseY');
+    var y = this.get('isFlippedY') ? mouseY - offset - boxHeight : mouseY + offset;
+    return Math.max(0, Math.min(y, (this.get('graph.graphHeight') || 0) - boxHeight));
+  }.property('mouseY', 'offset', 'boxHeight', 'isFlippedY', 'graph.graphHeight'),
+
+  /**
+    The SVG transform for positioning the tooltip
+    @property transform
+    @type String
+    @readonly
+  */
+  transform: function(){
+    return 'translate(%@ %@)'.fmt(this.get('x') || 0, this.get('y') || 0);
+  }.property('x', 'y'),
+
+  /**
+    Gets the nearest data point of each registered graphic with data to the mouse.
+    @method getPoints
+    @param hoverEvent {utils.nf.graph-mouse-event} the content's hover event
+    @return {Array} the point models
+  */
+  getPoints: function(hoverEvent) {
+    var graph = this.get('graph');
+    var lineHeight = this.get('lineHeight');
+    var points = [];
+
+    graph.get('graphics').forEach(function(graphic) {
+      if(!graphic.getDataNearXRange) {
+        return;
+      }
+
+      var e = GraphMouseEvent.create({
+        originalEvent: hoverEvent.get('originalEvent'),
+        syncedX: hoverEvent.get('syncedX'),
+        source: graphic,
+        graph: graph
+      });
+
+      var nearest = e.get('nearestDataPoint');
+      if(nearest) {
+        points.push({
+          x: nearest[0],
+          y: nearest[1],
+          data: nearest.data,
+          source: graphic,
+          index: points.length,
+          lineY: points.length * lineHeight
+        });
+      }
+    });
+
+    return points;
+  },
+
+  /**
+    Event handler for the content's hoverChange event. Updates the points and the position.
+    @method didContentHoverChange
+    @param e {utils.nf.graph-mouse-event}
+    @private
+  */
+  didContentHoverChange: function(e) {
+    var points = this.getPoints(e);
+    this.set('points', points);
+    this.set('mouseX', e.get('mouseX'));
+    // a hover synchronized from another graph has no y, so the tooltip goes to the top
+    this.set('mouseY', e.get('isSynced') ? 0 : e.get('mouseY'));
+    this.set('isVisible', points.length > 0);
+  },
+
+  /**
+    Event handler for the content's hoverEnd event. Hides the tooltip.
+    @method didContentHoverEnd
+    @private
+  */
+  didContentHoverEnd: function() {
+    this.set('isVisible', false);
+    this.set('points', null);
+  },
+
+  /**
+    Schedules measuring the yielded content after it renders.
+    @method _scheduleMeasure
+    @private
+  */
+  _scheduleMeasure: function(){
+    Ember.run.scheduleOnce('afterRender', this, this._measure);
+  }.observes('points', 'isVisible'),
+
+  /**
+    Measures the yielded content and updates `_contentBox` if its size or position changed.
+    A hidden tooltip can't be measured, so the last non-empty box is kept until it's shown again.
+    @method _measure
+    @private
+  */
+  _measure: function(){
+    if(this.get('isDestroying') || !this.get('element') || !this.get('isVisible') || Ember.isEmpty(this.get('points'))) {
+      return;
+    }
+
+    var content = this.$('.nf-tooltip-content')[0];
+    var bbox = content.getBBox();
+    if(!bbox.width && !bbox.height) {
+      return;
+    }
+
+    var box = { x: bbox.x, y: bbox.y, width: bbox.width, height: bbox.height };
+
+    if(JSON.stringify(box) !== JSON.stringify(this.get('_contentBox'))) {
+      this.set('_contentBox', box);
+    }
+  },
+
+  /**
+    Sets up subscriptions to content hover events.
+    @method _setupBindings
+    @private
+  */
+  _setupBindings: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.on('didHoverChange', this, this.didContentHoverChange);
+      content.on('didHoverEnd', this, this.didContentHoverEnd);
+    }
+  }.on('didInsertElement'),
+
+  /**
+    Tears down subscriptions to content hover events.
+    @method _teardownBindings
+    @private
+  */
+  _teardownBindings: function() {
+    var content = this.get('graph.content');
+    if(content) {
+      content.off('didHoverChange', this, this.didContentHoverChange);
+      content.off('didHoverEnd', this, this.didContentHoverEnd);
+    }
+  }.on('willDestroyElement')
+});
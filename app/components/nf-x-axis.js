@@ -1,6 +1,82 @@
 import Ember from 'ember';
 import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
 import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import { getFormatter, formatValue } from 'ember-cli-nf-graph/utils/nf/formatters';
+import { addDomainEndpoints, getLogTicks, getLogMinorTicks } from 'ember-cli-nf-graph/utils/nf/scale-utils';
+
+/**
+  Finds the smallest step between shown tick labels at which no two labels in the same row overlap.
+  @method findLabelStep
+  @param positions {Array} the x position of each label
+  @param extents {Array} the space each label needs along the axis
+  @param padding {Number} the minimum space between labels
+  @param rows {Number} the number of rows labels are staggered across
+  @return {Number} the step; every label at an index that is a multiple of it is shown
+  @private
+*/
+function findLabelStep(positions, extents, padding, rows) {
+  var length = positions.length;
+  for(var step = 1; step < length; step++) {
+    var distance = step * rows;
+    var fits = true;
+    for(var i = 0; i + distance < length; i += step) {
+      var space = Math.abs(positions[i + distance] - positions[i]);
+      if(space < (extents[i] + extents[i + distance]) / 2 + padding) {
+        fits = false;
+        break;
+      }
+    }
+    if(fits) {
+      return step;
+    }
+  }
+  return Math.max(length, 1);
+}
+
+/**
+  Determines how to lay out tick labels so they don't overlap.
+  @method getTickLabelLayout
+  @param mode {String} the `tickLabelLayout` mode
+  @param positions {Array} the x position of each label
+  @param sizes {Array} the unrotated `width` and `height` of each label
+  @param padding {Number} the minimum space between labels
+  @return {Object} the layout, with the `rotation` of the labels, the `step` between shown labels,
+  whether they are `staggered`, and the `labelHeight` needed to fit them.
+  @private
+*/
+function getTickLabelLayout(mode, positions, sizes, padding) {
+  var widths = sizes.map(function(size) { return size.width; });
+  var heights = sizes.map(function(size) { return size.height; });
+  var maxWidth = d3.max(widths) || 0;
+  var maxHeight = d3.max(heights) || 0;
+  var layout = { rotation: 0, step: 1, staggered: false, labelHeight: maxHeight };
+
+  if(findLabelStep(positions, widths, padding, 1) === 1) {
+    return layout;
+  }
+
+  if(mode === 'drop') {
+    layout.step = findLabelStep(positions, widths, padding, 1);
+  }
+  else if(mode === 'stagger') {
+    layout.staggered = true;
+    layout.step = findLabelStep(positions, widths, padding, 2);
+    layout.labelHeight = maxHeight * 2;
+  }
+  else if(mode === 'rotate' || mode === 'rotate-45' || mode === 'rotate-90') {
+    // rotated labels are parallel, so only their heights need to fit between ticks
+    var diagonalExtents = heights.map(function(h) { return h * Math.SQRT2; });
+    var rotation = mode === 'rotate-90' ? 90 : 45;
+    if(mode === 'rotate' && findLabelStep(positions, diagonalExtents, padding, 1) !== 1) {
+      rotation = 90;
+    }
+    layout.rotation = rotation;
+    layout.step = findLabelStep(positions, rotation === 45 ? diagonalExtents : heights, padding, 1);
+    layout.labelHeight = rotation === 45 ? (maxWidth + maxHeight) * Math.SQRT1_2 : maxWidth;
+  }
+
+  return layout;
+}
 
 /**
   A component for adding a templated x axis to an `nf-graph` component.
@@ -12,7 +88,7 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
   
   The main container will have a `nf-x-axis` class.
   A `orient-top` or `orient-bottom` container will be applied to the container
-  depending on the `orient` setting.
+  depending on the `orient` setting. The title is in a `<g>` with a `nf-axis-title` class.
 
   Ticks are positioned via a `<g>` tag, that will contain whatever is passed into it via
   templating, along with the tick line. `<text>` tags within tick templates do have some 
@@ -26,6 +102,47 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
           {{/nf-x-axis}}
         {{/nf-graph}}
 
+  ### Overlapping tick labels
+
+  Set `tickLabelLayout` to measure the rendered tick labels and keep them from overlapping,
+  by dropping, staggering or rotating them. The axis grows to fit rotated or staggered labels.
+
+        {{#nf-x-axis tickLabelLayout="rotate"}}
+          <text>{{tick.value}}</text>
+        {{/nf-x-axis}}
+
+  ### Title
+
+  A `title` is drawn outside of the axis, and the space for it is taken from the graph content.
+
+        {{#nf-x-axis title="Time"}}
+          <text>{{tick.value}}</text>
+        {{/nf-x-axis}}
+
+  When the graph's `xScaleType` is `'time'` or `'utc'`, `tick.value` will be a `Date`.
+
+  ### Formatting
+
+  Set `tickFormat` to get a formatted `tick.label`:
+
+        {{#nf-x-axis tickFormat="%H:%M"}}
+          <text>{{tick.label}}</text>
+        {{/nf-x-axis}}
+
+  ### Multiple x axes
+
+  A graph can have more than one x axis, each displaying the graph's x scale with its own `orient`,
+  formatting and title. Space for all of them is reserved in the graph layout. Axes with the
+  same `orient` are stacked from the edge of the graph inward, in the order they appear.
+  The first x axis is the graph's `xAxis`, whose ticks are used for grid lanes.
+
+        {{#nf-x-axis orient="bottom" tickFormat="%H:%M"}}
+          <text>{{tick.label}}</text>
+        {{/nf-x-axis}}
+        {{#nf-x-axis orient="top" tickFormat="%b %d"}}
+          <text>{{tick.label}}</text>
+        {{/nf-x-axis}}
+
 
   @namespace components
   @class nf-x-axis
@@ -37,7 +154,7 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   tagName: 'g',
 
   attributeBindings: ['transform'],
-  classNameBindings: ['orientClass'],
+  classNameBindings: ['orientClass', 'isTickLabelsRotated:tick-labels-rotated'],
   classNames: ['nf-x-axis'],
 
   /**
@@ -48,6 +165,183 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   */
   height: 20,
 
+  /**
+    The height of the axis after it has grown to fit rotated or staggered tick labels.
+    @property layoutHeight
+    @type Number
+    @readonly
+  */
+  layoutHeight: function(){
+    var height = this.get('height') || 0;
+    var tickLabelLayout = this.get('_tickLabelLayout');
+    if(!tickLabelLayout) {
+      return height;
+    }
+    var labelHeight = tickLabelLayout.labelHeight + this.get('tickLength') + this.get('tickPadding');
+    return Math.max(height, Math.ceil(labelHeight));
+  }.property('height', '_tickLabelLayout', 'tickLength', 'tickPadding'),
+
+  /**
+    How tick labels are laid out when they would overlap. Possible values are:
+
+    - `null` - labels are not measured, and may overlap
+    - `'drop'` - only every nth label is shown
+    - `'stagger'` - labels alternate between two rows, dropping labels if they still overlap
+    - `'rotate'` - labels are rotated 45°, or 90° if they still overlap at 45°
+    - `'rotate-45'` or `'rotate-90'` - labels are rotated by the given angle
+
+    Labels are only dropped, staggered or rotated if they overlap. Rotated labels are also dropped
+    if they still overlap. Labels are measured after they render, so this applies after any `tickFilter`.
+    @property tickLabelLayout
+    @type String
+    @default null
+  */
+  tickLabelLayout: null,
+
+  /**
+    The minimum space, in pixels, between tick labels when `tickLabelLayout` is set.
+    @property tickLabelPadding
+    @type Number
+    @default 4
+  */
+  tickLabelPadding: 4,
+
+  /**
+    The measured tick label layout. See `getTickLabelLayout`.
+    @property _tickLabelLayout
+    @type Object
+    @default null
+    @private
+  */
+  _tickLabelLayout: null,
+
+  /**
+    Returns `true` if the tick labels are rotated to avoid overlapping.
+    @property isTickLabelsRotated
+    @type Boolean
+    @readonly
+  */
+  isTickLabelsRotated: function(){
+    return !!this.get('_tickLabelLayout.rotation');
+  }.property('_tickLabelLayout'),
+
+  /**
+    The title displayed outside of the axis, centered under (or over, when `orient` is `'top'`)
+    the graph content.
+    @property title
+    @type String
+    @default null
+  */
+  title: null,
+
+  /**
+    The name of a template to render as the title, in place of `title`. The template
+    is rendered in the same context as the tick templates, centered on the title's position.
+    @property titleTemplate
+    @type String
+    @default null
+  */
+  titleTemplate: null,
+
+  /**
+    The space, in pixels, reserved outside of the axis for the title.
+    @property titleSize
+    @type Number
+    @default 20
+  */
+  titleSize: 20,
+
+  /**
+    Returns `true` if the axis has a `title` or `titleTemplate`.
+    @property hasTitle
+    @type Boolean
+    @readonly
+  */
+  hasTitle: Ember.computed.or('title', 'titleTemplate'),
+
+  /**
+    The space, in pixels, taken by the title, or `0` if there is no title.
+    @property titleOffset
+    @type Number
+    @readonly
+    @private
+  */
+  titleOffset: function(){
+    return this.get('hasTitle') ? this.get('titleSize') || 0 : 0;
+  }.property('hasTitle', 'titleSize'),
+
+  /**
+    The total height, in pixels, of the axis and its title. This is the space reserved for
+    the axis in the graph's layout.
+    @property outerHeight
+    @type Number
+    @readonly
+  */
+  outerHeight: function(){
+    return this.get('layoutHeight') + this.get('titleOffset');
+  }.property('layoutHeight', 'titleOffset'),
+
+  /**
+    The SVG transform for positioning the title, relative to the axis.
+    @property titleTransform
+    @type String
+    @readonly
+    @private
+  */
+  titleTransform: function(){
+    var titleSize = this.get('titleSize') || 0;
+    var x = (this.get('width') || 0) / 2;
+    var y = this.get('orient') === 'top' ? -titleSize / 2 : this.get('layoutHeight') + titleSize / 2;
+    return 'translate(%@ %@)'.fmt(x, y);
+  }.property('titleSize', 'width', 'layoutHeight', 'orient'),
+
+  /**
+    The format of the tick labels, exposed to the tick template as `tick.label`. Can be a
+    d3 format specifier (such as `',.0f'`, or `'%b %d'` for dates), the name of a preset
+    (`'si'`, `'percent'`, `'bytes'`, `'duration'` or `'currency'`), or a function.
+    See the `utils/nf/formatters` module.
+    @property tickFormat
+    @type String|Function
+    @default null
+  */
+  tickFormat: null,
+
+  /**
+    Formats a value the same way as the tick labels, with `tickFormat`.
+    @method formatValue
+    @param value {Any} the domain value to format
+    @return {Any} the formatted value
+  */
+  formatValue: function(value) {
+    return formatValue(this.get('tickFormat'), value);
+  },
+
+  /**
+    If `true`, and the scale type is `'log'`, minor tick lines are drawn at 2 and 5 times
+    each power of the base. Minor ticks are not labeled.
+    @property logMinorTicks
+    @type Boolean
+    @default false
+  */
+  logMinorTicks: false,
+
+  /**
+    The domain values to place ticks at. When set, `tickCount` and `tickFactory` are not used.
+    @property tickValues
+    @type Array
+    @default null
+  */
+  tickValues: null,
+
+  /**
+    If `true`, ticks are always placed at the minimum and maximum of the domain, in
+    addition to the generated ticks or `tickValues`.
+    @property includeDomainEndpoints
+    @type Boolean
+    @default false
+  */
+  includeDomainEndpoints: false,
+
   /**
     The number of ticks to display
     @property tickCount
@@ -138,19 +432,42 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   y: function(){
     var orient = this.get('orient');
     var graphHeight = this.get('graph.height');
-    var height = this.get('height');
+    var height = this.get('layoutHeight');
     var paddingBottom = this.get('graph.paddingBottom');
     var paddingTop = this.get('graph.paddingTop');
+    var offset = this.get('titleOffset') + this.get('siblingOffset');
     var y;
     
     if(orient === 'bottom') {
-      y = graphHeight - paddingBottom - height;
+      y = graphHeight - paddingBottom - height - offset;
     } else {
-      y = paddingTop;
+      y = paddingTop + offset;
     }
 
     return y || 0;
-  }.property('orient', 'graph.paddingTop', 'graph.paddingBottom', 'graph.height', 'height'),
+  }.property('orient', 'graph.paddingTop', 'graph.paddingBottom', 'graph.height', 'layoutHeight', 'titleOffset', 'siblingOffset'),
+
+  /**
+    The space taken by the x axes registered before this one on the same side of the graph.
+    Axes on the same side are stacked from the edge of the graph inward, in the order they are registered.
+    @property siblingOffset
+    @type Number
+    @readonly
+    @private
+  */
+  siblingOffset: function(){
+    var orient = this.get('orient');
+    var xAxes = this.get('graph.xAxes') || [];
+    var offset = 0;
+
+    for(var i = 0; i < xAxes.length && xAxes[i] !== this; i++) {
+      if(xAxes[i].get('orient') === orient) {
+        offset += xAxes[i].get('outerHeight') || 0;
+      }
+    }
+
+    return offset;
+  }.property('orient', 'graph.xAxes.@each.orient', 'graph.xAxes.@each.outerHeight'),
 
   /**
     This x position of this component's container
@@ -178,10 +495,18 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     @param tickCount {Number} the number of ticks desired
     @param uniqueXData {Array} all x data represented, filted to be unique (used for ordinal cases)
     @param xScaleType {String} the scale type of the containing graph.
-    @return {Array} an array of domain values at which ticks should be placed.
+    @return {Array} an array of domain values at which ticks should be placed. For `'time'` and `'utc'`
+    scale types these are `Date`s on calendar boundaries. For `'log'` scale types these are powers
+    of the scale's base, and for `'symlog'` scale types they are zero and powers of ten.
   */
   tickFactory: function(xScale, tickCount, uniqueXData, xScaleType) {
-    return (xScaleType === 'ordinal') ? uniqueXData : xScale.ticks(tickCount);
+    if(xScaleType === 'ordinal') {
+      return uniqueXData;
+    }
+    if(xScaleType === 'log' && xScale.base) {
+      return getLogTicks(xScale, tickCount);
+    }
+    return xScale.ticks(tickCount);
   },
 
   /**
@@ -211,12 +536,18 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     var xScale = this.get("xScale");
     var tickPadding = this.get("tickPadding");
     var tickLength = this.get("tickLength");
-    var height = this.get("height");
+    var height = this.get("layoutHeight");
     var orient = this.get("orient");
     var tickFilter = this.get("tickFilter");
     var xScaleType = this.get("graph.xScaleType");
     var uniqueXData = this.get("uniqueXData");
-    var ticks = this.tickFactory(xScale, tickCount, uniqueXData, xScaleType);
+    var tickLabelLayout = this.get("_tickLabelLayout");
+    var formatter = getFormatter(this.get("tickFormat"));
+    var tickValues = this.get("tickValues");
+    var ticks = tickValues ? tickValues.slice() : this.tickFactory(xScale, tickCount, uniqueXData, xScaleType);
+    if(this.get("includeDomainEndpoints")) {
+      ticks = addDomainEndpoints(ticks, xScale);
+    }
     var y1 = orient === 'top' ? height : 0;
     var y2 = y1 + tickLength;
     var labely = orient === 'top' ? (y1 - tickPadding) : (y1 + tickPadding);  
@@ -224,6 +555,7 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     var result = ticks.map(function(tick) {
       return {
         value: tick,
+        label: formatter ? formatter(tick) : tick,
         x: xScale(tick) + halfBandWidth,
         y1: y1,
         y2: y2,
@@ -235,18 +567,114 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
       result = result.filter(tickFilter);
     }
 
+    if(tickLabelLayout) {
+      var step = tickLabelLayout.step;
+      var rowOffset = tickLabelLayout.labelHeight / 2;
+      var rotation = tickLabelLayout.rotation ? -tickLabelLayout.rotation : null;
+      result.forEach(function(tick, i) {
+        tick.isLabelHidden = i % step !== 0;
+        tick.labelRotation = rotation;
+        if(tickLabelLayout.staggered && (i / step) % 2 === 1) {
+          tick.labely += orient === 'top' ? -rowOffset : rowOffset;
+        }
+      });
+    }
+
     return result;
-  }.property('tickCount', 'xScale', 'tickPadding', 'tickLength', 'height', 'orient', 'tickFilter', 'graph.xScaleType', 'uniqueXData'),
+  }.property('tickCount', 'xScale', 'tickPadding', 'tickLength', 'layoutHeight', 'orient', 'tickFilter', 
+    'graph.xScaleType', 'uniqueXData', '_tickLabelLayout', 'tickFormat', 'tickValues.[]', 'includeDomainEndpoints'),
+
+  /**
+    The models for the unlabeled minor ticks, when `logMinorTicks` is `true` and the scale type is `'log'`.
+    @property minorTicks
+    @type Array
+    @readonly
+  */
+  minorTicks: function(){
+    var xScale = this.get('xScale');
+    var y1 = this.get('orient') === 'top' ? this.get('layoutHeight') : 0;
+    var y2 = y1 + this.get('tickLength') / 2;
+
+    if(!this.get('logMinorTicks') || this.get('graph.xScaleType') !== 'log' || !xScale || !xScale.base) {
+      return [];
+    }
+
+    return getLogMinorTicks(xScale).map(function(tick) {
+      return {
+        value: tick,
+        x: xScale(tick),
+        y1: y1,
+        y2: y2
+      };
+    });
+  }.property('xScale', 'graph.xScaleType', 'logMinorTicks', 'orient', 'layoutHeight', 'tickLength'),
+
+  /**
+    Schedules measuring the tick labels after they render.
+    @method _scheduleTickLabelLayout
+    @private
+  */
+  _scheduleTickLabelLayout: function(){
+    Ember.run.scheduleOnce('afterRender', this, this._updateTickLabelLayout);
+  }.observes('ticks', 'tickLabelLayout', 'tickLabelPadding').on('didInsertElement'),
+
+  /**
+    Measures the rendered tick labels and updates `_tickLabelLayout`. Labels are measured without
+    their rotation, so the layout is stable once applied.
+    @method _updateTickLabelLayout
+    @private
+  */
+  _updateTickLabelLayout: function(){
+    if(this.get('isDestroying') || !this.get('element')) {
+      return;
+    }
+
+    var tickLabelLayout = this.get('tickLabelLayout');
+    var layout = null;
+
+    if(tickLabelLayout) {
+      var positions = this.get('ticks').map(function(tick) {
+        return tick.x;
+      });
+      var sizes = this.$('.tick > .nf-tick-label').toArray().map(function(label) {
+        var box = label.getBBox();
+        return { width: box.width, height: box.height };
+      });
+
+      if(sizes.length !== positions.length) {
+        return;
+      }
+
+      layout = getTickLabelLayout(tickLabelLayout, positions, sizes, this.get('tickLabelPadding'));
+    }
+
+    var current = this.get('_tickLabelLayout');
+    if(JSON.stringify(layout) !== JSON.stringify(current)) {
+      this.set('_tickLabelLayout', layout);
+    }
+  },
 
   /**
-    Updates the graph's xAxis property on willInsertElement
-    @method _updateGraphXAxis
+    Registers the axis with the graph on willInsertElement
+    @method _registerXAxis
     @private
   */
-  _updateGraphXAxis: function(){
-    this.set('graph.xAxis', this);
+  _registerXAxis: function(){
+    this.get('graph').registerXAxis(this);
   }.on('willInsertElement'),
 
+  /**
+    Unregisters the axis from the graph on willDestroyElement
+    @method _unregisterXAxis
+    @private
+  */
+  _unregisterXAxis: function(){
+    var graph = this.get('graph');
+    if(graph) {
+      graph.unregisterXAxis(this);
+    }
+  }.on('willDestroyElement'),
+
   /**
     The y position, in pixels, of the axis line
     @property axisLineY
@@ -255,7 +683,7 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   */
   axisLineY: function(){
     var orient = this.get('orient');
-    var height = this.get('height');
+    var height = this.get('layoutHeight');
     return orient === 'top' ? height : 0;
-  }.property('orient', 'height'),
+  }.property('orient', 'layoutHeight'),
 });
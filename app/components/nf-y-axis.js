@@ -1,6 +1,8 @@
 import Ember from 'ember';
 import HasGraphParent  from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
 import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
+import { getFormatter, formatValue } from 'ember-cli-nf-graph/utils/nf/formatters';
+import { addDomainEndpoints, getLogTicks, getLogMinorTicks } from 'ember-cli-nf-graph/utils/nf/scale-utils';
 
 /**
   A component for adding a templated y axis to an `nf-graph` component.
@@ -12,7 +14,7 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
   
   The main container will have a `nf-y-axis` class.
   A `orient-left` or `orient-right` container will be applied to the container
-  depending on the `orient` setting.
+  depending on the `orient` setting. The title is in a `<g>` with a `nf-axis-title` class.
 
   Ticks are positioned via a `<g>` tag, that will contain whatever is passed into it via
   templating, along with the tick line. `<text>` tags within tick templates do have some 
@@ -26,6 +28,63 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
           {{/nf-y-axis}}
         {{/nf-graph}}
 
+  ### Formatting
+
+  Set `tickFormat` to get a formatted `tick.label`:
+
+        {{#nf-y-axis tickFormat="bytes"}}
+          <text>{{tick.label}}</text>
+        {{/nf-y-axis}}
+
+  ### Auto width
+
+  With `width="auto"`, the axis is sized to fit its widest tick label, up to `maxWidth`.
+
+        {{#nf-y-axis width="auto" tickFormat=",.0f"}}
+          <text>{{tick.label}}</text>
+        {{/nf-y-axis}}
+
+  ### Title
+
+  A `title` is drawn outside of the axis, and the space for it is taken from the graph content.
+
+        {{#nf-y-axis title="Requests/sec"}}
+          <text>{{tick.value}}</text>
+        {{/nf-y-axis}}
+
+  ### Multiple y axes
+
+  A graph can have more than one y axis for the same scale, each with its own `orient`, formatting
+  and title. Space for all of them is reserved in the graph layout. Axes on the same side are stacked
+  from the edge of the graph inward in the order they appear, with `yAxisId="y2"` axes inside the others.
+
+        {{#nf-y-axis tickFormat="bytes"}}
+          <text>{{tick.label}}</text>
+        {{/nf-y-axis}}
+        {{#nf-y-axis orient="right" tickFormat=",.0f"}}
+          <text>{{tick.label}}</text>
+        {{/nf-y-axis}}
+
+  ### Secondary y axis
+
+  Setting `yAxisId` to `'y2'` displays the graph's secondary y scale. Graphics plotted against it
+  must have the same `yAxisId`.
+
+        {{#nf-graph width=500 height=300 y2ScaleType="log"}}
+          {{#nf-graph-content}}
+            {{nf-line data=requestRate}}
+            {{nf-line data=latency yAxisId="y2"}}
+          {{/nf-graph-content}}
+
+          {{#nf-y-axis}}
+            <text>{{tick.value}}</text>
+          {{/nf-y-axis}}
+
+          {{#nf-y-axis yAxisId="y2" orient="right"}}
+            <text>{{tick.value}}ms</text>
+          {{/nf-y-axis}}
+        {{/nf-graph}}
+
 
   @namespace components
   @class nf-y-axis
@@ -35,6 +94,53 @@ import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-s
 export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   tagName: 'g',
 
+  /**
+    The format of the tick labels, exposed to the tick template as `tick.label`. Can be a
+    d3 format specifier (such as `',.0f'`, or `'%b %d'` for dates), the name of a preset
+    (`'si'`, `'percent'`, `'bytes'`, `'duration'` or `'currency'`), or a function.
+    See the `utils/nf/formatters` module.
+    @property tickFormat
+    @type String|Function
+    @default null
+  */
+  tickFormat: null,
+
+  /**
+    Formats a value the same way as the tick labels, with `tickFormat`.
+    @method formatValue
+    @param value {Any} the domain value to format
+    @return {Any} the formatted value
+  */
+  formatValue: function(value) {
+    return formatValue(this.get('tickFormat'), value);
+  },
+
+  /**
+    If `true`, and the scale type is `'log'`, minor tick lines are drawn at 2 and 5 times
+    each power of the base. Minor ticks are not labeled.
+    @property logMinorTicks
+    @type Boolean
+    @default false
+  */
+  logMinorTicks: false,
+
+  /**
+    The domain values to place ticks at. When set, `tickCount` and `tickFactory` are not used.
+    @property tickValues
+    @type Array
+    @default null
+  */
+  tickValues: null,
+
+  /**
+    If `true`, ticks are always placed at the minimum and maximum of the domain, in
+    addition to the generated ticks or `tickValues`.
+    @property includeDomainEndpoints
+    @type Boolean
+    @default false
+  */
+  includeDomainEndpoints: false,
+
   /**
     The number of ticks to display
     @property tickCount
@@ -60,13 +166,126 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   tickPadding: 3,
 
   /**
-    The total width of the y axis
+    The total width of the y axis. If `'auto'`, the axis is sized to fit its rendered
+    tick labels, up to `maxWidth`.
     @property width
-    @type Number
+    @type Number|String
     @default 40
   */
   width: 40,
 
+  /**
+    The maximum width, in pixels, of the axis when `width` is `'auto'`.
+    @property maxWidth
+    @type Number
+    @default 120
+  */
+  maxWidth: 120,
+
+  /**
+    Returns `true` if `width` is `'auto'`.
+    @property isAutoWidth
+    @type Boolean
+    @readonly
+  */
+  isAutoWidth: Ember.computed.equal('width', 'auto'),
+
+  /**
+    The measured width of the tick labels, plus the tick line and padding, when `width` is `'auto'`.
+    @property _measuredWidth
+    @type Number
+    @default 0
+    @private
+  */
+  _measuredWidth: 0,
+
+  /**
+    The width, in pixels, the axis is laid out with. This is `width`, or the measured
+    width capped at `maxWidth` if `width` is `'auto'`.
+    @property layoutWidth
+    @type Number
+    @readonly
+  */
+  layoutWidth: function(){
+    if(this.get('isAutoWidth')) {
+      return Math.min(this.get('_measuredWidth'), this.get('maxWidth'));
+    }
+    return +this.get('width') || 0;
+  }.property('isAutoWidth', 'width', '_measuredWidth', 'maxWidth'),
+
+  /**
+    The title displayed outside of the axis, rotated to run alongside it. Titles read
+    bottom to top on the left, and top to bottom on the right.
+    @property title
+    @type String
+    @default null
+  */
+  title: null,
+
+  /**
+    The name of a template to render as the title, in place of `title`. The template
+    is rendered in the same context as the tick templates, centered on the title's position
+    and rotated with it.
+    @property titleTemplate
+    @type String
+    @default null
+  */
+  titleTemplate: null,
+
+  /**
+    The space, in pixels, reserved outside of the axis for the title.
+    @property titleSize
+    @type Number
+    @default 20
+  */
+  titleSize: 20,
+
+  /**
+    Returns `true` if the axis has a `title` or `titleTemplate`.
+    @property hasTitle
+    @type Boolean
+    @readonly
+  */
+  hasTitle: Ember.computed.or('title', 'titleTemplate'),
+
+  /**
+    The space, in pixels, taken by the title, or `0` if there is no title.
+    @property titleOffset
+    @type Number
+    @readonly
+    @private
+  */
+  titleOffset: function(){
+    return this.get('hasTitle') ? this.get('titleSize') || 0 : 0;
+  }.property('hasTitle', 'titleSize'),
+
+  /**
+    The total width, in pixels, of the axis and its title. This is the space reserved for
+    the axis in the graph's layout.
+    @property outerWidth
+    @type Number
+    @readonly
+  */
+  outerWidth: function(){
+    return this.get('layoutWidth') + this.get('titleOffset');
+  }.property('layoutWidth', 'titleOffset'),
+
+  /**
+    The SVG transform for positioning and rotating the title, relative to the axis.
+    @property titleTransform
+    @type String
+    @readonly
+    @private
+  */
+  titleTransform: function(){
+    var titleSize = this.get('titleSize') || 0;
+    var y = (this.get('graph.graphHeight') || 0) / 2;
+    if(this.get('isOrientRight')) {
+      return 'translate(%@ %@) rotate(90)'.fmt(this.get('layoutWidth') + titleSize / 2, y);
+    }
+    return 'translate(%@ %@) rotate(-90)'.fmt(-titleSize / 2, y);
+  }.property('titleSize', 'layoutWidth', 'isOrientRight', 'graph.graphHeight'),
+
   /**
     The orientation of the y axis. Possible values are `'left'` and `'right'`
     @property orient
@@ -139,11 +358,50 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   */
   x: function(){
     var orient = this.get('orient');
+    var offset = this.get('siblingOffset') + this.get('titleOffset');
     if(orient !== 'left') {
-      return this.get('graph.width') - this.get('width') - this.get('graph.paddingRight');
+      return this.get('graph.width') - this.get('layoutWidth') - this.get('graph.paddingRight') - offset;
     }
-    return this.get('graph.paddingLeft');
-  }.property('orient', 'graph.width', 'width', 'graph.paddingLeft', 'graph.paddingRight'),
+    return this.get('graph.paddingLeft') + offset;
+  }.property('orient', 'graph.width', 'layoutWidth', 'graph.paddingLeft', 'graph.paddingRight', 'siblingOffset', 'titleOffset'),
+
+  /**
+    The space taken by the y axes placed outside of this one on the same side of the graph.
+    Axes on the same side are stacked from the edge of the graph inward, with the primary y axes
+    outermost, in the order they are registered.
+    @property siblingOffset
+    @type Number
+    @readonly
+    @private
+  */
+  siblingOffset: function(){
+    var isOrientRight = this.get('isOrientRight');
+    var rank = this.get('yAxisId') === 'y2' ? 1 : 0;
+    var yAxes = this.get('graph.yAxes') || [];
+    var index = yAxes.indexOf(this);
+    var offset = 0;
+
+    yAxes.forEach(function(axis, i) {
+      var axisRank = axis.get('yAxisId') === 'y2' ? 1 : 0;
+      var isOutside = axisRank < rank || (axisRank === rank && i < index);
+      if(axis !== this && isOutside && (axis.get('orient') === 'right') === isOrientRight) {
+        offset += axis.get('outerWidth') || 0;
+      }
+    }, this);
+
+    return offset;
+  }.property('yAxisId', 'isOrientRight', 'graph.yAxes.@each.orient', 'graph.yAxes.@each.outerWidth',
+    'graph.yAxes.@each.yAxisId'),
+
+  /**
+    The scale type of the graph scale this axis displays.
+    @property scaleType
+    @type String
+    @readonly
+  */
+  scaleType: function(){
+    return this.get('yAxisId') === 'y2' ? this.get('graph.y2ScaleType') : this.get('graph.yScaleType');
+  }.property('yAxisId', 'graph.yScaleType', 'graph.y2ScaleType'),
 
   /**
     The y position of the component
@@ -168,17 +426,18 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     @param tickCount {Number} the number of ticks desired
     @param uniqueYData {Array} all y data represented, filted to be unique (used for ordinal cases)
     @param yScaleType {String} the scale type of the containing graph.
-    @return {Array} an array of domain values at which ticks should be placed.
+    @return {Array} an array of domain values at which ticks should be placed. For `'time'` and `'utc'`
+    scale types these are `Date`s on calendar boundaries. For `'log'` scale types these are powers
+    of the scale's base, and for `'symlog'` scale types they are zero and powers of ten.
   */
   tickFactory: function(yScale, tickCount, uniqueYData, yScaleType) {
-    var ticks = yScaleType === 'ordinal' ? uniqueYData : yScale.ticks(tickCount);
-    if (yScaleType === 'log') {
-      var step = Math.round(ticks.length / tickCount);
-      ticks = ticks.filter(function (tick, i) {
-        return i % step === 0;
-      });
+    if(yScaleType === 'ordinal') {
+      return uniqueYData;
+    }
+    if(yScaleType === 'log' && yScale.base) {
+      return getLogTicks(yScale, tickCount);
     }
-    return ticks;
+    return yScale.ticks(tickCount);
   },
 
   /**
@@ -187,7 +446,10 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     @type Array
     @readonly
   */
-  uniqueYData: Ember.computed.uniq('graph.yData'),
+  uniqueYData: function(){
+    var yData = this.get('yAxisId') === 'y2' ? this.get('graph.y2Data') : this.get('graph.yData');
+    return Ember.A(yData || []).uniq();
+  }.property('yAxisId', 'graph.yData.[]', 'graph.y2Data.[]'),
 
   /** 
     The ticks to be displayed.
@@ -198,14 +460,19 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
   ticks: function(){
     var yScale = this.get('yScale');
     var tickCount = this.get('tickCount');
-    var yScaleType = this.get('graph.yScaleType');
+    var yScaleType = this.get('scaleType');
     var tickPadding = this.get('tickPadding');
     var axisLineX = this.get('axisLineX');
     var tickLength = this.get('tickLength');
     var isOrientRight = this.get('isOrientRight');
     var tickFilter = this.get('tickFilter');
     var uniqueYData = this.get('uniqueYData');
-    var ticks = this.tickFactory(yScale, tickCount, uniqueYData, yScaleType);
+    var formatter = getFormatter(this.get('tickFormat'));
+    var tickValues = this.get('tickValues');
+    var ticks = tickValues ? tickValues.slice() : this.tickFactory(yScale, tickCount, uniqueYData, yScaleType);
+    if(this.get('includeDomainEndpoints')) {
+      ticks = addDomainEndpoints(ticks, yScale);
+    }
     var x1 = isOrientRight ? axisLineX + tickLength : axisLineX - tickLength;
     var x2 = axisLineX;
     var labelx = isOrientRight ? (tickLength + tickPadding) : (axisLineX - tickLength - tickPadding);
@@ -213,6 +480,7 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     var result = ticks.map(function (tick) {
       return {
         value: tick,
+        label: formatter ? formatter(tick) : tick,
         y: yScale(tick),
         x1: x1,
         x2: x2,
@@ -225,10 +493,36 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     }
 
     return result;
-  }.property('yScale', 'tickCount', 'graph.yScaleType', 'tickPadding', 'axisLineX', 
-    'tickLength', 'isOrientRight', 'tickFilter', 'uniqueYData'),
+  }.property('yScale', 'tickCount', 'scaleType', 'tickPadding', 'axisLineX', 
+    'tickLength', 'isOrientRight', 'tickFilter', 'uniqueYData', 'tickFormat', 'tickValues.[]',
+    'includeDomainEndpoints'),
 
 
+  /**
+    The models for the unlabeled minor ticks, when `logMinorTicks` is `true` and the scale type is `'log'`.
+    @property minorTicks
+    @type Array
+    @readonly
+  */
+  minorTicks: function(){
+    var yScale = this.get('yScale');
+    var axisLineX = this.get('axisLineX');
+    var minorLength = this.get('tickLength') / 2;
+
+    if(!this.get('logMinorTicks') || this.get('scaleType') !== 'log' || !yScale || !yScale.base) {
+      return [];
+    }
+
+    return getLogMinorTicks(yScale).map(function(tick) {
+      return {
+        value: tick,
+        y: yScale(tick),
+        x1: this.get('isOrientRight') ? axisLineX + minorLength : axisLineX - minorLength,
+        x2: axisLineX
+      };
+    }, this);
+  }.property('yScale', 'scaleType', 'logMinorTicks', 'axisLineX', 'tickLength', 'isOrientRight'),
+
   /**
     The x position of the axis line.
     @property axisLineX
@@ -236,15 +530,65 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
     @readonly
   */
   axisLineX: function(){
-    return this.get('isOrientRight') ? 0 : this.get('width');
-  }.property('isOrientRight', 'width'),
+    return this.get('isOrientRight') ? 0 : this.get('layoutWidth');
+  }.property('isOrientRight', 'layoutWidth'),
 
   /**
-    sets graph's yAxis property on willInsertElement
-    @method _updateGraphYAxis
+    Schedules measuring the tick labels after they render, when `width` is `'auto'`. Only the
+    inputs of the tick labels are observed, not `ticks`, which depends on the measured width
+    through `axisLineX`.
+    @method _scheduleMeasureWidth
     @private
   */
-  _updateGraphYAxis: function(){
-    this.set('graph.yAxis', this);
-  }.on('willInsertElement')
+  _scheduleMeasureWidth: function(){
+    if(this.get('isAutoWidth')) {
+      Ember.run.scheduleOnce('afterRender', this, this._measureWidth);
+    }
+  }.observes('isAutoWidth', 'yScale', 'tickCount', 'scaleType', 'tickFilter', 'uniqueYData', 'tickFormat',
+    'tickValues.[]', 'includeDomainEndpoints', 'tickLength', 'tickPadding').on('didInsertElement'),
+
+  /**
+    Measures the widest rendered tick label and updates `_measuredWidth`. Label widths don't
+    depend on the axis width, and changes under a pixel are ignored, so the width settles
+    after one pass.
+    @method _measureWidth
+    @private
+  */
+  _measureWidth: function(){
+    if(this.get('isDestroying') || !this.get('element')) {
+      return;
+    }
+
+    var labelWidth = 0;
+    this.$('.tick > .nf-tick-label').each(function() {
+      labelWidth = Math.max(labelWidth, this.getBBox().width);
+    });
+
+    var measuredWidth = Math.ceil(labelWidth + this.get('tickLength') + this.get('tickPadding'));
+    if(Math.abs(measuredWidth - this.get('_measuredWidth')) >= 1) {
+      this.set('_measuredWidth', measuredWidth);
+    }
+  },
+
+  /**
+    registers the axis with the graph on willInsertElement. The first axis for each `yAxisId` becomes
+    the graph's `yAxis` or `y2Axis`.
+    @method _registerYAxis
+    @private
+  */
+  _registerYAxis: function(){
+    this.get('graph').registerYAxis(this);
+  }.on('willInsertElement'),
+
+  /**
+    unregisters the axis from the graph on willDestroyElement
+    @method _unregisterYAxis
+    @private
+  */
+  _unregisterYAxis: function(){
+    var graph = this.get('graph');
+    if(graph) {
+      graph.unregisterYAxis(this);
+    }
+  }.on('willDestroyElement')
 });
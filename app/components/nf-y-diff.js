@@ -2,6 +2,7 @@ import Ember from 'ember';
 import HasGraphParent from 'ember-cli-nf-graph/mixins/graph-has-graph-parent';
 import RequireScaleSource from 'ember-cli-nf-graph/mixins/graph-requires-scale-source';
 import { normalizeScale } from 'ember-cli-nf-graph/utils/nf/scale-utils';
+import { formatValue } from 'ember-cli-nf-graph/utils/nf/formatters';
 
 /**
 	Draws a box underneath (or over) the y axis to between the given `a` and `b`
@@ -14,6 +15,12 @@ import { normalizeScale } from 'ember-cli-nf-graph/utils/nf/scale-utils';
 	- As a convenience, `<text>` elements will automatically be positioned based on y-axis orientation
 		due to default styling.
 
+	### Example
+
+			{{#nf-y-diff a=previous b=current format="si" as |diffLabel|}}
+				<text>{{diffLabel}}</text>
+			{{/nf-y-diff}}
+
 	@namespace components
 	@class nf-y-diff
 	@extends Ember.Component
@@ -108,6 +115,25 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
 		return +this.get('b') - this.get('a');
 	}.property('a', 'b'),
 
+	/**
+		The format of `diffLabel`. Can be a function, a d3 format specifier, or the name of a
+		preset such as `'si'` or `'percent'`. See the `utils/nf/formatters` module.
+		@property format
+		@type String|Function
+		@default null
+	*/
+	format: null,
+
+	/**
+		The `diff`, formatted with `format`. Yielded to the block as its first parameter.
+		@property diffLabel
+		@type String
+		@readonly
+	*/
+	diffLabel: function(){
+		return formatValue(this.get('format'), this.get('diff'));
+	}.property('format', 'diff'),
+
 	/**
 		Returns `true` if `diff` is a positive number
 		@property isPositive
@@ -130,7 +156,7 @@ export default Ember.Component.extend(HasGraphParent, RequireScaleSource, {
 		@type Number
 		@readonly
 	*/
-	width: Ember.computed.alias('graph.yAxis.width'),
+	width: Ember.computed.alias('graph.yAxis.layoutWidth'),
 
 	/**
 		The view controller for the view this component is present in
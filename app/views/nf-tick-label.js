@@ -6,8 +6,10 @@ export default Ember.View.extend({
 	attributeBindings: ['transform'],
 
 	transform: function(){
-		return 'translate(%@ %@)'.fmt(this.get('x'), this.get('y'));
-	}.property('x', 'y'),
+		var transform = 'translate(%@ %@)'.fmt(this.get('x'), this.get('y'));
+		var rotate = this.get('rotate');
+		return rotate ? transform + ' rotate(%@)'.fmt(rotate) : transform;
+	}.property('x', 'y', 'rotate'),
 
-	className: 'nf-tick-label'
+	classNames: ['nf-tick-label']
 });
\ No newline at end of file
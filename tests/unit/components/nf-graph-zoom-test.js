@@ -0,0 +1,145 @@
+import Ember from 'ember';
+import {
+  moduleForComponent,
+  test
+} from 'ember-qunit';
+
+moduleForComponent('nf-graph', 'nf-graph zooming');
+
+// a 300px wide graph of x from 0 to 100 and y from 0 to 10, recording the actions it sends
+var createGraph = function(context, props) {
+  var graph;
+  var sent = [];
+
+  Ember.run(function() {
+    graph = context.subject(Ember.merge({
+      sendAction: function(name, payload) {
+        sent.push({ name: name, payload: payload });
+      }
+    }, props));
+    graph.get('graphics').pushObject(Ember.Object.create({ xData: [0, 100], yData: [0, 10] }));
+  });
+
+  graph.sent = sent;
+  return graph;
+};
+
+var brush = function(graph, xMin, xMax, yMin, yMax) {
+  Ember.run(function() {
+    graph._zoomToBrush({
+      left: { x: xMin },
+      right: { x: xMax },
+      bottom: { y: yMin },
+      top: { y: yMax },
+      current: { originalEvent: null }
+    });
+  });
+};
+
+var domain = function(graph) {
+  return graph.getProperties('xMin', 'xMax', 'yMin', 'yMax');
+};
+
+test('brush zooming pushes the domain of the zoomed axes onto the history', function(assert) {
+  var graph = createGraph(this, { brushMode: 'zoom' });
+
+  brush(graph, 20, 60, 2, 8);
+  assert.deepEqual(domain(graph), { xMin: 20, xMax: 60, yMin: 0, yMax: 10 }, 'only x is zoomed');
+  assert.deepEqual(graph.get('zoomHistory'), [{ axes: ['x'], xMin: 0, xMax: 100 }]);
+  assert.equal(graph.get('xMinMode'), 'fixed');
+  assert.equal(graph.get('yMinMode'), 'auto', 'y is not fixed');
+  assert.ok(graph.get('isZoomed'));
+
+  Ember.run(function() {
+    graph.set('brushDimension', 'xy');
+  });
+  brush(graph, 30, 40, 2, 8);
+  assert.deepEqual(domain(graph), { xMin: 30, xMax: 40, yMin: 2, yMax: 8 });
+  assert.deepEqual(graph.get('zoomHistory.lastObject'), { axes: ['x', 'y'], xMin: 20, xMax: 60, yMin: 0, yMax: 10 });
+});
+
+test('zoomOut restores only the axes of the most recent zoom', function(assert) {
+  var graph = createGraph(this, { brushMode: 'zoom' });
+
+  brush(graph, 20, 60, 2, 8);
+  brush(graph, 30, 40, 2, 8);
+  Ember.run(graph, graph.zoomOut);
+
+  assert.deepEqual(domain(graph), { xMin: 20, xMax: 60, yMin: 0, yMax: 10 });
+  assert.equal(graph.get('zoomHistory.length'), 1);
+  assert.equal(graph.get('yMinMode'), 'auto', 'y is not fixed by zooming out');
+  assert.equal(graph.get('yMaxMode'), 'auto');
+});
+
+test('zoomOut from the first zoom resets the zoom', function(assert) {
+  var graph = createGraph(this, { brushMode: 'zoom', brushDimension: 'xy' });
+
+  brush(graph, 20, 60, 2, 8);
+  Ember.run(graph, graph.zoomOut);
+
+  assert.deepEqual(domain(graph), { xMin: 0, xMax: 100, yMin: 0, yMax: 10 });
+  assert.deepEqual(graph.get('zoomHistory'), []);
+  assert.deepEqual(graph.getProperties('xMinMode', 'xMaxMode', 'yMinMode', 'yMaxMode'),
+    { xMinMode: 'auto', xMaxMode: 'auto', yMinMode: 'auto', yMaxMode: 'auto' });
+  assert.ok(!graph.get('isZoomed'));
+});
+
+test('resetZoom restores the modes and the domain from before the first zoom', function(assert) {
+  var graph = createGraph(this, {
+    brushMode: 'zoom',
+    xMinMode: 'fixed',
+    xMaxMode: 'fixed',
+    xMin: -10,
+    xMax: 110,
+    yMaxMode: 'push'
+  });
+
+  brush(graph, 20, 60);
+  Ember.run(function() {
+    graph.set('brushDimension', 'y');
+  });
+  brush(graph, null, null, 2, 8);
+  assert.equal(graph.get('yMaxMode'), 'fixed');
+
+  Ember.run(graph, graph.resetZoom);
+  assert.deepEqual(domain(graph), { xMin: -10, xMax: 110, yMin: 0, yMax: 10 });
+  assert.deepEqual(graph.getProperties('xMinMode', 'xMaxMode', 'yMinMode', 'yMaxMode'),
+    { xMinMode: 'fixed', xMaxMode: 'fixed', yMinMode: 'auto', yMaxMode: 'push' });
+  assert.deepEqual(graph.get('zoomHistory'), []);
+});
+
+test('zooming is limited by minZoom and maxZoom', function(assert) {
+  var graph = createGraph(this);
+  var start = graph._getZoomStart();
+  var point = { x: 0, y: 0 };
+
+  Ember.run(function() {
+    graph._updateZoomDomain([start, point, point, 0.5, null, 'zoomAction']);
+  });
+  assert.deepEqual(graph.getProperties('xMin', 'xMax'), { xMin: 0, xMax: 100 }, 'cannot zoom out past the data');
+
+  Ember.run(function() {
+    graph._updateZoomDomain([start, point, point, 1000, null, 'zoomAction']);
+  });
+  assert.equal(graph.get('xMin'), 0);
+  assert.ok(Math.abs(graph.get('xMax') - 1) < 1e-9, 'zoomed in to 100 times the data');
+});
+
+test('zooming and panning send their actions with the new domain', function(assert) {
+  var graph = createGraph(this, { zoomAction: 'zoomed', panAction: 'panned' });
+  var originalEvent = { type: 'mousemove' };
+
+  Ember.run(function() {
+    graph._updateZoomDomain([graph._getZoomStart(), { x: 0, y: 0 }, { x: 30, y: 0 }, 1, originalEvent, 'panAction']);
+  });
+
+  assert.equal(graph.sent.length, 1);
+  assert.equal(graph.sent[0].name, 'panAction');
+  assert.deepEqual(Ember.getProperties(graph.sent[0].payload, 'xMin', 'xMax', 'yMin', 'yMax', 'originalEvent', 'graph'),
+    { xMin: -10, xMax: 90, yMin: 0, yMax: 10, originalEvent: originalEvent, graph: graph });
+
+  Ember.run(graph, graph.resetZoom);
+  assert.equal(graph.sent[1].name, 'zoomAction');
+  assert.equal(graph.sent[1].payload.xMin, 0);
+  assert.equal(graph.sent[1].payload.xMax, 100);
+});
@@ -0,0 +1,70 @@
+import Ember from 'ember';
+import {
+  moduleForComponent,
+  test
+} from 'ember-qunit';
+
+moduleForComponent('nf-y-axis', 'nf-y-axis auto width');
+
+var createAxis = function(context, props) {
+  var measures = { count: 0 };
+  var graph = Ember.Object.create({
+    isGraph: true,
+    yScale: d3.scale.linear().domain([0, 100]).range([100, 0]),
+    yScaleType: 'linear',
+    yData: []
+  });
+
+  var axis = context.subject(Ember.merge({
+    width: 'auto',
+    _measureWidth: function() {
+      measures.count++;
+    }
+  }, props));
+
+  Ember.run(function() {
+    axis.setProperties({ graph: graph, scaleSource: graph });
+  });
+
+  return { axis: axis, measures: measures };
+};
+
+test('the measured width is capped by maxWidth', function(assert) {
+  var axis = createAxis(this, { maxWidth: 50 }).axis;
+
+  Ember.run(function() {
+    axis.set('_measuredWidth', 30);
+  });
+  assert.equal(axis.get('layoutWidth'), 30);
+
+  Ember.run(function() {
+    axis.set('_measuredWidth', 200);
+  });
+  assert.equal(axis.get('layoutWidth'), 50);
+  assert.equal(axis.get('axisLineX'), 50);
+});
+
+test('changing the measured width does not measure again', function(assert) {
+  var created = createAxis(this);
+  var axis = created.axis;
+
+  // compute the ticks, so their dependency on the width is live
+  assert.equal(axis.get('ticks.length'), 6);
+  var count = created.measures.count;
+
+  Ember.run(function() {
+    axis.set('_measuredWidth', 42);
+  });
+  assert.equal(axis.get('ticks.firstObject.x2'), 42, 'the ticks follow the measured width');
+  assert.equal(created.measures.count, count, 'the width converges without measuring again');
+});
+
+test('changing the tick labels measures again', function(assert) {
+  var created = createAxis(this);
+  var count = created.measures.count;
+
+  Ember.run(function() {
+    created.axis.set('tickFormat', 'percent');
+  });
+  assert.equal(created.measures.count, count + 1);
+});
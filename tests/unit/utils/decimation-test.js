@@ -0,0 +1,66 @@
+import { module, test } from 'qunit';
+import { lttb, minMax, average, decimate } from 'ember-cli-nf-graph/utils/nf/decimation';
+
+var data = [[0, 0], [1, 5], [2, 1], [3, 9], [4, 2], [5, 3], [6, -4], [7, 2], [8, 1], [9, 0]];
+
+module('utils/nf/decimation');
+
+test('lttb keeps the first, last and most prominent points', function(assert) {
+  var sampled = lttb(data, 4);
+  assert.deepEqual(sampled, [[0, 0], [3, 9], [6, -4], [9, 0]]);
+  assert.strictEqual(sampled[1], data[3], 'returns the original points');
+});
+
+test('lttb returns the data unchanged for a threshold under 3 or over the length', function(assert) {
+  assert.strictEqual(lttb(data, 2), data);
+  assert.strictEqual(lttb(data, 0), data);
+  assert.strictEqual(lttb(data, 10), data);
+  assert.strictEqual(lttb(data, 20), data);
+});
+
+test('minMax keeps the min and max of each bucket in x order', function(assert) {
+  assert.deepEqual(minMax(data, 4), [[0, 0], [3, 9], [5, 3], [6, -4]]);
+});
+
+test('minMax returns up to two points per bucket for an odd threshold', function(assert) {
+  var sampled = minMax(data, 5);
+  assert.equal(sampled.length, 4, 'two buckets of two points');
+  assert.deepEqual(sampled, minMax(data, 4));
+});
+
+test('minMax keeps one point for a flat bucket', function(assert) {
+  var flat = [[0, 1], [1, 1], [2, 1], [3, 1]];
+  assert.deepEqual(minMax(flat, 2), [[0, 1]]);
+});
+
+test('minMax returns the data unchanged for a threshold under 2 or over the length', function(assert) {
+  assert.strictEqual(minMax(data, 1), data);
+  assert.strictEqual(minMax(data, 10), data);
+});
+
+test('average averages every value of the points in each bucket', function(assert) {
+  assert.deepEqual(average(data, 5), [[0.5, 2.5], [2.5, 5], [4.5, 2.5], [6.5, -1], [8.5, 0.5]]);
+  assert.deepEqual(average([[0, 1, 0], [1, 3, 1], [2, 5, 2], [3, 7, 3]], 2), [[0.5, 2, 0.5], [2.5, 6, 2.5]]);
+});
+
+test('average has no empty buckets when the buckets are barely over one point', function(assert) {
+  var sampled = average(data.slice(0, 5), 4);
+  assert.deepEqual(sampled, [[0, 0], [1, 5], [2, 1], [3.5, 5.5]]);
+  assert.ok(sampled.every(function(d) {
+    return d[0] === d[0] && d[1] === d[1];
+  }), 'no point is NaN');
+});
+
+test('average returns the data unchanged when there are fewer points than the threshold', function(assert) {
+  var short = data.slice(0, 3);
+  assert.strictEqual(average(short, 5), short);
+  assert.strictEqual(average(data, 0), data);
+});
+
+test('decimate picks the algorithm by name', function(assert) {
+  assert.deepEqual(decimate('lttb', data, 4), lttb(data, 4));
+  assert.deepEqual(decimate('min-max', data, 4), minMax(data, 4));
+  assert.deepEqual(decimate('average', data, 5), average(data, 5));
+  assert.strictEqual(decimate('unknown', data, 4), data);
+  assert.strictEqual(decimate('lttb', null, 4), null);
+});
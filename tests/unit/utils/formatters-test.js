@@ -0,0 +1,75 @@
+import { module, test } from 'qunit';
+import { getFormatter, formatValue, registerFormatter } from 'ember-cli-nf-graph/utils/nf/formatters';
+
+module('utils/nf/formatters');
+
+test('getFormatter returns null without a format', function(assert) {
+  assert.strictEqual(getFormatter(null), null);
+  assert.strictEqual(getFormatter(undefined), null);
+  assert.strictEqual(getFormatter(''), null);
+});
+
+test('getFormatter returns a function as is', function(assert) {
+  var fn = function(value) {
+    return 'value ' + value;
+  };
+  assert.strictEqual(getFormatter(fn), fn);
+  assert.equal(formatValue(fn, 3), 'value 3');
+});
+
+test('the si preset uses SI prefixes without trailing zeros', function(assert) {
+  var si = getFormatter('si');
+  assert.equal(si(1500), '1.5k');
+  assert.equal(si(1000000), '1M');
+  assert.equal(si(1234567), '1.23M');
+  assert.equal(si(0.5), '500m');
+});
+
+test('the percent preset formats ratios', function(assert) {
+  var percent = getFormatter('percent');
+  assert.equal(percent(0.25), '25%');
+  assert.equal(percent(1), '100%');
+});
+
+test('the bytes preset uses binary units', function(assert) {
+  var bytes = getFormatter('bytes');
+  assert.equal(bytes(512), '512 B');
+  assert.equal(bytes(1536), '1.5 KB');
+  assert.equal(bytes(1048576), '1 MB');
+  assert.equal(bytes(-2048), '-2 KB');
+});
+
+test('the duration preset uses the two largest units of milliseconds', function(assert) {
+  var duration = getFormatter('duration');
+  assert.equal(duration(250), '250ms');
+  assert.equal(duration(1500), '1.5s');
+  assert.equal(duration(5400000), '1h 30m');
+  assert.equal(duration(3600000), '1h');
+  assert.equal(duration(90061000), '1d 1h');
+  assert.equal(duration(-60000), '-1m');
+});
+
+test('the currency preset formats US dollars', function(assert) {
+  var currency = getFormatter('currency');
+  assert.equal(currency(1234.5), '$1,234.50');
+  assert.equal(currency(0), '$0.00');
+});
+
+test('getFormatter uses d3 number and time specifiers', function(assert) {
+  assert.equal(getFormatter(',.2f')(1234.5), '1,234.50');
+  assert.equal(getFormatter('%Y-%m-%d')(new Date(2015, 2, 4)), '2015-03-04');
+});
+
+test('registerFormatter adds a named formatter', function(assert) {
+  registerFormatter('test-kelvin', function(value) {
+    return value + 'K';
+  });
+  assert.equal(formatValue('test-kelvin', 300), '300K');
+});
+
+test('formatValue returns the value unformatted without a format, or for null values', function(assert) {
+  assert.equal(formatValue(null, 5), 5);
+  assert.strictEqual(formatValue('si', null), null);
+  assert.strictEqual(formatValue('si', undefined), undefined);
+  assert.equal(formatValue('si', 1500), '1.5k');
+});
@@ -0,0 +1,83 @@
+import { module, test } from 'qunit';
+import { getLogTicks, getLogMinorTicks, addDomainEndpoints, symlogScale } from 'ember-cli-nf-graph/utils/nf/scale-utils';
+
+module('utils/nf/scale-utils');
+
+test('getLogTicks returns the powers of the base in the domain', function(assert) {
+  assert.deepEqual(getLogTicks(d3.scale.log().domain([1, 1000]), 10), [1, 10, 100, 1000]);
+  assert.deepEqual(getLogTicks(d3.scale.log().base(2).domain([1, 64]), 10), [1, 2, 4, 8, 16, 32, 64]);
+});
+
+test('getLogTicks uses every nth power beyond the tick count', function(assert) {
+  assert.deepEqual(getLogTicks(d3.scale.log().base(2).domain([1, 1024]), 4), [1, 8, 64, 512]);
+});
+
+test('getLogTicks sorts the ticks of reversed and negative domains', function(assert) {
+  assert.deepEqual(getLogTicks(d3.scale.log().domain([1000, 1]), 10), [1, 10, 100, 1000]);
+  assert.deepEqual(getLogTicks(d3.scale.log().domain([-1000, -1]), 10), [-1000, -100, -10, -1]);
+});
+
+test('getLogTicks falls back to the scale ticks within a single power', function(assert) {
+  assert.deepEqual(getLogTicks(d3.scale.log().domain([2, 5]), 10), [2, 3, 4, 5]);
+});
+
+test('getLogMinorTicks returns 2 and 5 times the powers of the base in the domain', function(assert) {
+  assert.deepEqual(getLogMinorTicks(d3.scale.log().domain([1, 100])), [2, 5, 20, 50]);
+  assert.deepEqual(getLogMinorTicks(d3.scale.log().domain([3, 40])), [5, 20]);
+  assert.deepEqual(getLogMinorTicks(d3.scale.log().domain([100, 1])), [2, 5, 20, 50], 'reversed domain');
+});
+
+test('getLogMinorTicks skips multiples that reach the next power of the base', function(assert) {
+  assert.deepEqual(getLogMinorTicks(d3.scale.log().base(8).domain([1, 64])), [2, 5, 16, 40]);
+  assert.deepEqual(getLogMinorTicks(d3.scale.log().base(2).domain([1, 16])), []);
+});
+
+test('addDomainEndpoints adds the ends of the domain in order', function(assert) {
+  assert.deepEqual(addDomainEndpoints([20, 40, 60], d3.scale.linear().domain([10, 70])), [10, 20, 40, 60, 70]);
+  assert.deepEqual(addDomainEndpoints([20, 40], d3.scale.linear().domain([50, 10])), [10, 20, 40, 50], 'reversed domain');
+});
+
+test('addDomainEndpoints does not duplicate endpoints that are already ticks', function(assert) {
+  var ticks = [0, 50, 100];
+  var result = addDomainEndpoints(ticks, d3.scale.linear().domain([100, 0]));
+  assert.deepEqual(result, [0, 50, 100]);
+  assert.notStrictEqual(result, ticks, 'returns a copy');
+
+  var dates = addDomainEndpoints([new Date(2000)], d3.time.scale().domain([new Date(1000), new Date(2000)]));
+  assert.deepEqual(dates.map(Number), [1000, 2000], 'compares dates by time');
+});
+
+test('addDomainEndpoints has no effect on ordinal scales', function(assert) {
+  var ticks = ['a'];
+  assert.strictEqual(addDomainEndpoints(ticks, d3.scale.ordinal().domain(['a', 'b'])), ticks);
+});
+
+test('symlogScale is symmetric around zero and invertible', function(assert) {
+  var scale = symlogScale(1).domain([-100, 100]).range([0, 200]);
+  assert.equal(scale(0), 100);
+  assert.equal(scale(-100), 0);
+  assert.equal(scale(100), 200);
+  assert.ok(Math.abs((scale(50) - 100) - (100 - scale(-50))) < 1e-9);
+  assert.ok(Math.abs(scale.invert(scale(37)) - 37) < 1e-9);
+});
+
+test('symlogScale handles reversed domains', function(assert) {
+  var scale = symlogScale(1).domain([100, -100]).range([0, 200]);
+  assert.equal(scale(100), 0);
+  assert.equal(scale(-100), 200);
+});
+
+test('symlogScale ticks are zero and powers of ten on both sides', function(assert) {
+  var scale = symlogScale(1).domain([-100, 100]);
+  assert.deepEqual(scale.ticks(10), [-100, -10, -1, 0, 1, 10, 100]);
+  assert.deepEqual(symlogScale(10).domain([0, 5]).ticks(5), [0, 1, 2, 3, 4, 5], 'linear ticks within the constant');
+});
+
+test('symlogScale nices to powers of ten and copies its constant and domain', function(assert) {
+  assert.deepEqual(symlogScale(1).domain([0, 950]).nice().domain(), [0, 1000]);
+  assert.equal(symlogScale().constant(), 1);
+
+  var copy = symlogScale(5).domain([-100, 100]).copy();
+  assert.equal(copy.constant(), 5);
+  assert.deepEqual(copy.domain(), [-100, 100]);
+});
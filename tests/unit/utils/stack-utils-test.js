@@ -0,0 +1,77 @@
+import { module, test } from 'qunit';
+import { stackData } from 'ember-cli-nf-graph/utils/nf/stack-utils';
+
+var rising = [[0, 1], [1, 2], [2, 3]];
+var falling = [[0, 3], [1, 2], [2, 1]];
+
+module('utils/nf/stack-utils');
+
+test('stackData returns no layers for no data', function(assert) {
+  assert.deepEqual(stackData([], 'zero'), []);
+  assert.deepEqual(stackData(null, 'zero'), []);
+});
+
+test('stackData stacks on a zero baseline', function(assert) {
+  assert.deepEqual(stackData([rising, falling], 'zero'), [
+    [[0, 1, 0], [1, 2, 0], [2, 3, 0]],
+    [[0, 4, 1], [1, 4, 2], [2, 4, 3]]
+  ]);
+});
+
+test('stackData defaults to a zero baseline', function(assert) {
+  assert.deepEqual(stackData([rising, falling]), stackData([rising, falling], 'zero'));
+});
+
+test('stackData normalizes each x to total 1 with expand', function(assert) {
+  assert.deepEqual(stackData([rising, falling], 'expand'), [
+    [[0, 0.25, 0], [1, 0.5, 0], [2, 0.75, 0]],
+    [[0, 1, 0.25], [1, 1, 0.5], [2, 1, 0.75]]
+  ]);
+});
+
+test('stackData shifts the baseline to minimize the change in slope with wiggle', function(assert) {
+  var stacked = stackData([rising, falling], 'wiggle');
+  assert.deepEqual(stacked, [
+    [[0, 2, 1], [1, 2.5, 0.5], [2, 3, 0]],
+    [[0, 5, 2], [1, 4.5, 2.5], [2, 4, 3]]
+  ]);
+  assert.deepEqual(stacked[0].map(function(d) {
+    return d[1] - d[2];
+  }), [1, 2, 3], 'the layer keeps its own thickness');
+});
+
+test('stackData aligns linear layers on their sorted x values, filling gaps with 0', function(assert) {
+  var a = [[2, 1], [0, 2]];
+  var b = [[1, 5], [0, 1]];
+  assert.deepEqual(stackData([a, b], 'zero', false), [
+    [[0, 2, 0], [1, 0, 0], [2, 1, 0]],
+    [[0, 3, 2], [1, 5, 0], [2, 1, 1]]
+  ]);
+});
+
+test('stackData aligns ordinal layers on their x values in the order found', function(assert) {
+  var a = [['b', 1], ['a', 2]];
+  var b = [['a', 5], ['c', 1]];
+  assert.deepEqual(stackData([a, b], 'zero', true), [
+    [['b', 1, 0], ['a', 2, 0], ['c', 0, 0]],
+    [['b', 1, 1], ['a', 7, 2], ['c', 1, 0]]
+  ]);
+});
+
+test('stackData aligns date x values by time', function(assert) {
+  var a = [[new Date(1000), 1]];
+  var b = [[new Date(1000), 2]];
+  var stacked = stackData([a, b], 'zero');
+  assert.equal(stacked[1].length, 1);
+  assert.deepEqual(stacked[1][0].slice(1), [3, 1]);
+});
+
+test('stackData keeps the data and origIndex of the original points', function(assert) {
+  var a = [[0, 1], [1, 2]];
+  a[1].data = { id: 'a1' };
+  a[1].origIndex = 1;
+  var stacked = stackData([a, [[2, 1]]], 'zero');
+  assert.equal(stacked[0][1].data, a[1].data);
+  assert.equal(stacked[0][1].origIndex, 1);
+  assert.strictEqual(stacked[0][2].data, undefined, 'a missing point has no data');
+});